@@ -0,0 +1,254 @@
+<?php
+/**
+ * Wiener Linien OGD - Station Data Builder
+ * Builds the station search data (data/wienerlinien-ogd-*.csv) from the
+ * Wiener Linien OGD download, with every stop that has an RBL.
+ *
+ * Usage: php inc/build-station-data.php [source]
+ *   source  Directory or URL with the OGD CSV files (default: WL_OGD_URL)
+ *
+ * Reads either OGD layout:
+ * - haltestellen, steige, linien (HALTESTELLEN_ID, RBL_NUMMER, ...)
+ * - haltestellen, haltepunkte, fahrwegverlaeufe, linien (DIVA, StopID, ...)
+ * and writes the columns js/monitor.js reads, in the first layout:
+ *   haltestellen  HALTESTELLEN_ID, NAME, GEMEINDE
+ *   steige        FK_LINIEN_ID, FK_HALTESTELLEN_ID, RICHTUNG, REIHENFOLGE, RBL_NUMMER, STEIG
+ *   linien        LINIEN_ID, BEZEICHNUNG, REIHENFOLGE, VERKEHRSMITTEL
+ * Platforms without an RBL are left out, except the last stop of each line and
+ * direction: it names the destination shown next to the line.
+ *
+ * The files in the repository are a sample; after building the full dataset,
+ * set STATION_DATA_SAMPLE to false in js/monitor.js.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+// Configuration
+define('WL_OGD_URL', 'https://www.wienerlinien.at/ogd_realtime/doku/ogd');
+define('WL_OGD_PREFIX', 'wienerlinien-ogd-');
+define('WL_STATION_DIR', __DIR__ . '/../data');
+define('WL_STATION_COLUMNS', [
+    'haltestellen' => ['HALTESTELLEN_ID', 'NAME', 'GEMEINDE'],
+    'steige' => ['FK_LINIEN_ID', 'FK_HALTESTELLEN_ID', 'RICHTUNG', 'REIHENFOLGE', 'RBL_NUMMER', 'STEIG'],
+    'linien' => ['LINIEN_ID', 'BEZEICHNUNG', 'REIHENFOLGE', 'VERKEHRSMITTEL']
+]);
+
+/**
+ * Build the station data
+ */
+function buildStationData($source) {
+    $haltestellen = readOgdFile($source, 'haltestellen');
+
+    if (count($haltestellen) > 0 && array_key_exists('HALTESTELLEN_ID', $haltestellen[0])) {
+        $data = fromSteige($haltestellen, readOgdFile($source, 'steige'), readOgdFile($source, 'linien'));
+    } else {
+        $data = fromHaltepunkte(
+            $haltestellen,
+            readOgdFile($source, 'haltepunkte'),
+            readOgdFile($source, 'fahrwegverlaeufe'),
+            readOgdFile($source, 'linien')
+        );
+    }
+
+    $data = keepStopsWithRbl($data);
+
+    foreach (WL_STATION_COLUMNS as $name => $columns) {
+        writeCsv(WL_STATION_DIR . '/' . WL_OGD_PREFIX . $name . '.csv', $columns, $data[$name]);
+    }
+
+    $rbls = array_unique(array_filter(array_column($data['steige'], 'RBL_NUMMER')));
+    echo count($data['haltestellen']) . ' stops, ' . count($rbls) . ' RBLs, ' . count($data['linien']) . ' lines written to ' . realpath(WL_STATION_DIR) . PHP_EOL;
+}
+
+/**
+ * Layout with steige: the columns are already the ones we write
+ */
+function fromSteige($haltestellen, $steige, $linien) {
+    requireColumns('haltestellen', $haltestellen, WL_STATION_COLUMNS['haltestellen']);
+    requireColumns('steige', $steige, WL_STATION_COLUMNS['steige']);
+    requireColumns('linien', $linien, WL_STATION_COLUMNS['linien']);
+
+    return [
+        'haltestellen' => $haltestellen,
+        'steige' => $steige,
+        'linien' => $linien
+    ];
+}
+
+/**
+ * Layout with haltepunkte: a haltepunkt (StopID) is an RBL, its DIVA the stop,
+ * and the fahrwegverlaeufe give the lines, directions and stop order
+ */
+function fromHaltepunkte($haltestellen, $haltepunkte, $fahrwegverlaeufe, $linien) {
+    requireColumns('haltestellen', $haltestellen, ['DIVA', 'PlatformText', 'Municipality']);
+    requireColumns('haltepunkte', $haltepunkte, ['StopID', 'DIVA']);
+    requireColumns('fahrwegverlaeufe', $fahrwegverlaeufe, ['LineID', 'StopSeqCount', 'StopID', 'Direction']);
+    requireColumns('linien', $linien, ['LineID', 'LineText', 'SortingHelper', 'MeansOfTransport']);
+
+    $stops = [];
+    foreach ($haltestellen as $row) {
+        $stops[$row['DIVA']] = [
+            'HALTESTELLEN_ID' => $row['DIVA'],
+            'NAME' => $row['PlatformText'],
+            'GEMEINDE' => $row['Municipality']
+        ];
+    }
+
+    $stopOfRbl = array_column($haltepunkte, 'DIVA', 'StopID');
+
+    // Routes repeat the same stop; keep its latest position per line and direction
+    $platforms = [];
+    foreach ($fahrwegverlaeufe as $row) {
+        if (!isset($stopOfRbl[$row['StopID']])) {
+            continue;
+        }
+
+        $key = $row['LineID'] . '|' . $row['Direction'] . '|' . $row['StopID'];
+        if (!isset($platforms[$key]) || (int)$row['StopSeqCount'] > (int)$platforms[$key]['REIHENFOLGE']) {
+            $platforms[$key] = [
+                'FK_LINIEN_ID' => $row['LineID'],
+                'FK_HALTESTELLEN_ID' => $stopOfRbl[$row['StopID']],
+                'RICHTUNG' => $row['Direction'],
+                'REIHENFOLGE' => $row['StopSeqCount'],
+                'RBL_NUMMER' => $row['StopID'],
+                'STEIG' => ''
+            ];
+        }
+    }
+
+    $lines = [];
+    foreach ($linien as $row) {
+        $lines[] = [
+            'LINIEN_ID' => $row['LineID'],
+            'BEZEICHNUNG' => $row['LineText'],
+            'REIHENFOLGE' => $row['SortingHelper'],
+            'VERKEHRSMITTEL' => $row['MeansOfTransport']
+        ];
+    }
+
+    return [
+        'haltestellen' => array_values($stops),
+        'steige' => array_values($platforms),
+        'linien' => $lines
+    ];
+}
+
+/**
+ * Drop platforms without RBL (except line ends) and stops without platforms
+ */
+function keepStopsWithRbl($data) {
+    // The last stop of each line and direction is its destination
+    $terminals = [];
+    foreach ($data['steige'] as $index => $platform) {
+        $key = $platform['FK_LINIEN_ID'] . '|' . $platform['RICHTUNG'];
+        $order = (int)$platform['REIHENFOLGE'];
+        if (!isset($terminals[$key]) || $order > $terminals[$key]['order']) {
+            $terminals[$key] = ['order' => $order, 'index' => $index];
+        }
+    }
+    $terminalIndexes = array_flip(array_column($terminals, 'index'));
+
+    $steige = [];
+    $stopIds = [];
+    $lineIds = [];
+    foreach ($data['steige'] as $index => $platform) {
+        if (trim($platform['RBL_NUMMER']) === '' && !isset($terminalIndexes[$index])) {
+            continue;
+        }
+        $steige[] = $platform;
+        $stopIds[$platform['FK_HALTESTELLEN_ID']] = true;
+        $lineIds[$platform['FK_LINIEN_ID']] = true;
+    }
+
+    $sortKey = function($row) {
+        return $row['FK_LINIEN_ID'] . '|' . $row['RICHTUNG'] . '|' . str_pad($row['REIHENFOLGE'], 6, '0', STR_PAD_LEFT);
+    };
+    usort($steige, function($a, $b) use ($sortKey) {
+        return strcmp($sortKey($a), $sortKey($b));
+    });
+
+    return [
+        'haltestellen' => array_values(array_filter($data['haltestellen'], function($stop) use ($stopIds) {
+            return isset($stopIds[$stop['HALTESTELLEN_ID']]);
+        })),
+        'steige' => $steige,
+        'linien' => array_values(array_filter($data['linien'], function($line) use ($lineIds) {
+            return isset($lineIds[$line['LINIEN_ID']]);
+        }))
+    ];
+}
+
+/**
+ * Read one semicolon separated OGD file into rows keyed by header
+ */
+function readOgdFile($source, $name) {
+    $path = rtrim($source, '/') . '/' . WL_OGD_PREFIX . $name . '.csv';
+    $handle = @fopen($path, 'r');
+    if ($handle === false) {
+        fail('Cannot read ' . $path);
+    }
+
+    $header = fgetcsv($handle, 0, ';', '"', '');
+    if (!$header) {
+        fail('Empty file: ' . $path);
+    }
+    $header[0] = preg_replace('/^\xEF\xBB\xBF/', '', $header[0]);
+
+    $rows = [];
+    while (($values = fgetcsv($handle, 0, ';', '"', '')) !== false) {
+        if ($values === [null]) {
+            continue;
+        }
+        $rows[] = array_combine($header, array_pad(array_slice($values, 0, count($header)), count($header), ''));
+    }
+    fclose($handle);
+
+    return $rows;
+}
+
+/**
+ * Stop with a clear message when the OGD layout changed
+ */
+function requireColumns($name, $rows, $columns) {
+    $missing = count($rows) > 0 ? array_diff($columns, array_keys($rows[0])) : $columns;
+    if (count($missing) > 0) {
+        fail(WL_OGD_PREFIX . $name . '.csv: missing ' . implode(', ', $missing));
+    }
+}
+
+/**
+ * Write rows with the given columns as semicolon separated CSV
+ */
+function writeCsv($file, $columns, $rows) {
+    $handle = fopen($file . '.tmp', 'w');
+    if ($handle === false) {
+        fail('Cannot write ' . $file);
+    }
+
+    fputcsv($handle, $columns, ';', '"', '');
+    foreach ($rows as $row) {
+        $values = [];
+        foreach ($columns as $column) {
+            $values[] = $row[$column];
+        }
+        fputcsv($handle, $values, ';', '"', '');
+    }
+    fclose($handle);
+
+    // Replace the old file only when the new one is complete
+    rename($file . '.tmp', $file);
+}
+
+/**
+ * Print an error and exit with 1
+ */
+function fail($message) {
+    fwrite(STDERR, $message . PHP_EOL);
+    exit(1);
+}
+
+buildStationData($argv[1] ?? WL_OGD_URL);
+?>
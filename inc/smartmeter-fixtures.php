@@ -0,0 +1,109 @@
+<?php
+/**
+ * Wien Energie Smart Meter - Fixture Check
+ * Feeds the upstream sample of every fixture in data/smartmeter/ through
+ * normalizeReadings() and computeTotals() of the proxy and compares the result
+ * with the fixture's "expected" block.
+ *
+ * Usage: php inc/smartmeter-fixtures.php
+ * Exits with 1 if a fixture differs or the proxy rejects its format.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+define('WSTW_FUNCTIONS_ONLY', true);
+define('WSTW_FIXTURE_DIR', __DIR__ . '/../data/smartmeter');
+
+require __DIR__ . '/smartmeter-proxy.php';
+
+$current = null; // Fixture being checked, error() of the proxy exits in the middle of it
+$finished = false;
+
+// Nothing is sent before the end, so error() of the proxy can still set its status code
+ob_start();
+
+// error() of the proxy prints its JSON and exits; that is a failure here
+register_shutdown_function(function() {
+    global $current, $finished;
+    if (!$finished) {
+        $output = ob_get_clean();
+        ob_end_flush();
+        echo 'FAIL ' . $current . ': proxy rejected the upstream sample ' . $output . PHP_EOL;
+        exit(1);
+    }
+});
+
+/**
+ * Compare a result with the expected value; returns the differences
+ * Numbers are compared with a tolerance, everything else strictly.
+ */
+function compareValue($actual, $expected, $path) {
+    if (is_array($expected)) {
+        if (!is_array($actual)) {
+            return [$path . ': expected a list or object, got ' . json_encode($actual)];
+        }
+
+        $differences = [];
+        foreach (array_unique(array_merge(array_keys($expected), array_keys($actual))) as $key) {
+            if (!array_key_exists($key, $actual)) {
+                $differences[] = $path . '.' . $key . ': missing';
+            } elseif (!array_key_exists($key, $expected)) {
+                $differences[] = $path . '.' . $key . ': unexpected ' . json_encode($actual[$key]);
+            } else {
+                $differences = array_merge($differences, compareValue($actual[$key], $expected[$key], $path . '.' . $key));
+            }
+        }
+        return $differences;
+    }
+
+    if ((is_int($expected) || is_float($expected)) && (is_int($actual) || is_float($actual))) {
+        return abs($actual - $expected) < 1e-9 ? [] : [$path . ': expected ' . $expected . ', got ' . $actual];
+    }
+
+    return $actual === $expected ? [] : [$path . ': expected ' . json_encode($expected) . ', got ' . json_encode($actual)];
+}
+
+$files = glob(WSTW_FIXTURE_DIR . '/*.json') ?: [];
+$failures = 0;
+
+if (count($files) === 0) {
+    echo 'No fixtures found in ' . WSTW_FIXTURE_DIR . PHP_EOL;
+    $finished = true;
+    ob_end_flush();
+    exit(1);
+}
+
+foreach ($files as $file) {
+    $current = basename($file);
+    $fixture = json_decode(file_get_contents($file), true);
+
+    if (!$fixture || !isset($fixture['upstream'], $fixture['expected'], $fixture['granularity'])) {
+        echo 'FAIL ' . $current . ': not a fixture (upstream, expected and granularity required)' . PHP_EOL;
+        $failures++;
+        continue;
+    }
+
+    // Buffered, so the error JSON of the proxy ends up in the failure message
+    ob_start();
+    $points = normalizeReadings($fixture['upstream'], $fixture['granularity']);
+    $totals = computeTotals($points);
+    ob_end_clean();
+
+    $differences = compareValue(['points' => $points, 'totals' => $totals], $fixture['expected'], $current);
+
+    if (count($differences) > 0) {
+        echo 'FAIL ' . $current . PHP_EOL . '  ' . implode(PHP_EOL . '  ', $differences) . PHP_EOL;
+        $failures++;
+    } else {
+        echo 'ok   ' . $current . PHP_EOL;
+    }
+}
+
+$finished = true;
+echo count($files) - $failures . '/' . count($files) . ' fixtures ok' . PHP_EOL;
+ob_end_flush();
+exit($failures > 0 ? 1 : 0);
+?>
@@ -8,113 +8,518 @@
  * 
  * IMPORTANT: You need an API key from the Wien Energie API Portal
  * Register at: https://api-portal.wienerstadtwerke.at/portal/auth/register
+ *
+ * The API key is sent once (action=login) and stored encrypted on the server.
+ * The browser only receives an opaque token that expires after WSTW_TOKEN_TTL;
+ * the key is encrypted with that token, so the stored file alone is useless.
+ *
+ * Contract (client: js/smartmeter.js)
+ * Requests are POST with a JSON object body (Content-Type: application/json)
+ * holding an "action" and its fields; health also accepts GET ?action=health.
+ * Form-encoded fields are still read for older clients.
+ *
+ *   action=login        apiKey                   -> { token, expiresAt }
+ *   action=rotate       token, apiKey            -> { token, expiresAt } (old token is revoked)
+ *   action=logout       token                    -> { message }
+ *   action=meters       token                    -> { meters: [{ id, name, address }] }
+ *   action=consumption  token, meterId, period   -> { period, compare, label, from, to, granularity,
+ *                       (day|week|month|year|       loadCurveAvailable,
+ *                       baseline), [compare]
+ *                                                   points: [{ time, value, unit, granularity, estimated }],
+ *                                                   totals: { value, unit, estimated, points, missing } }
+ *   action=health                                -> { status, upstream, time }
+ *
+ * period=baseline is the quarter-hour load curve of the last WSTW_BASELINE_DAYS days.
+ * compare=previous|lastYear returns the period before, or the same dates a year ago
+ * (for period=year both are the year before). Ranges end yesterday at the latest.
+ *
+ * Consumption is always a time series in kWh with ISO 8601 times (Europe/Vienna),
+ * whichever upstream format was returned. Samples of every known upstream format
+ * and the series expected from it are in data/smartmeter/. An unknown format
+ * fails with UPSTREAM_ERROR instead of being read as 0 kWh.
+ * Check the normalizer against these samples after every change:
+ *
+ *   php inc/smartmeter-fixtures.php
+ *
+ * Success: { "success": true, "data": { ... } }
+ * Failure: { "success": false, "error": "<message>", "code": "<code>" }
+ *
+ *   INVALID_REQUEST       400  Unknown action, missing or invalid parameter
+ *   SESSION_EXPIRED       401  Token unknown, expired or logged out: log in again
+ *   INVALID_CREDENTIALS   401  Wien Energie rejected the API key (login, rotate or revoked later)
+ *   METER_NOT_FOUND       404  Zählpunkt unknown or not accessible with this API key (consumption only)
+ *   UPSTREAM_UNAVAILABLE  502  Wien Energie API unreachable, timed out or answering 5xx
+ *   UPSTREAM_ERROR        502  Unexpected status or invalid JSON from the Wien Energie API
+ *                              (including a 404 for the Zählpunkt list at login or meters)
+ *   SERVER_ERROR          500  Proxy problem (e.g. token directory not writable)
  */
 
-header('Content-Type: application/json');
-header('Access-Control-Allow-Origin: *'); // Restrict this in production!
-header('Access-Control-Allow-Methods: POST, GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type');
-
-// Handle preflight requests
-if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
-    http_response_code(200);
-    exit();
+// inc/smartmeter-fixtures.php only loads the functions
+if (!defined('WSTW_FUNCTIONS_ONLY')) {
+    header('Content-Type: application/json');
+    header('Access-Control-Allow-Origin: *'); // Restrict this in production!
+    header('Access-Control-Allow-Methods: POST, GET, OPTIONS');
+    header('Access-Control-Allow-Headers: Content-Type');
+    
+    // Handle preflight requests
+    if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+        http_response_code(200);
+        exit();
+    }
 }
 
 // Configuration
 define('WSTW_API_BASE', 'https://api.wstw.at/gateway/WN_SMART_METER_API/1.0');
 define('API_CONSUMPTION_URL', WSTW_API_BASE . '/zaehlpunkte/messwerte');
-define('API_LOGIN_URL', 'https://api.wstw.at/gateway/auth/oauth/token'); // OAuth endpoint
-
-// Session configuration
-session_start();
+define('API_METERS_URL', WSTW_API_BASE . '/zaehlpunkte');
+define('WSTW_TOKEN_DIR', sys_get_temp_dir() . '/smartmeter_tokens');
+define('WSTW_TOKEN_TTL', 30 * 24 * 3600); // Seconds
+define('WSTW_CIPHER', 'aes-256-gcm');
+define('WSTW_TIMEZONE', 'Europe/Vienna');
+define('WSTW_TIMEOUT', 15); // Seconds
+define('WSTW_PERIODS', ['day', 'week', 'month', 'year', 'baseline']);
+define('WSTW_COMPARISONS', ['', 'previous', 'lastYear']);
+define('WSTW_BASELINE_DAYS', 28); // Days of load curve for anomaly detection
+define('WSTW_CONSUMPTION_OBIS', ['1-1:1.8.0', '1-1:1.9.0']); // Consumption registers; 2.8.0/2.9.0 are feed-in
+define('WSTW_HEALTH_TIMEOUT', 5); // Seconds
+define('WSTW_MONTHS', ['Jänner', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember']);
 
 /**
  * Main request handler
  */
 function handleRequest() {
-    $action = $_POST['action'] ?? $_GET['action'] ?? '';
+    $action = input('action') ?: ($_GET['action'] ?? '');
+    
+    if ($action === 'health') {
+        return handleHealth();
+    }
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        return error('Method not allowed', 405, 'INVALID_REQUEST');
+    }
     
     switch ($action) {
         case 'login':
             return handleLogin();
-        case 'getConsumption':
-            return getConsumption();
+        case 'rotate':
+            return handleRotate();
         case 'logout':
             return handleLogout();
+        case 'meters':
+            return getMeters();
+        case 'consumption':
+            return getConsumption();
         default:
             return error('Invalid action');
     }
 }
 
+/**
+ * One field of the request body as a string
+ * The body is JSON; form-encoded fields are the fallback for older clients.
+ */
+function input($key, $default = '') {
+    static $body = null;
+    
+    if ($body === null) {
+        $body = $_POST;
+        if (stripos($_SERVER['CONTENT_TYPE'] ?? '', 'application/json') === 0) {
+            $body = json_decode(file_get_contents('php://input'), true);
+            if (!is_array($body)) {
+                return error('Request body must be a JSON object', 400, 'INVALID_REQUEST');
+            }
+        }
+    }
+    
+    $value = $body[$key] ?? $default;
+    return is_scalar($value) ? (string)$value : $default;
+}
+
 /**
  * Handle login to Wien Energie API
- * This uses API key authentication from the WSTW API Portal
+ * Checks the API key once and returns a token for all further requests
  */
 function handleLogin() {
-    $apiKey = $_POST['apiKey'] ?? $_POST['password'] ?? '';
+    $apiKey = trim(input('apiKey'));
     
     if (empty($apiKey)) {
         return error('API Key required. Get one from https://api-portal.wienerstadtwerke.at');
     }
     
-    // Store API key in session
-    $_SESSION['wstw_api_key'] = $apiKey;
-    $_SESSION['wstw_logged_in'] = true;
+    verifyApiKey($apiKey);
+    pruneTokens();
     
-    return success(['message' => 'API Key configured']);
+    return success(issueToken($apiKey));
 }
 
 /**
- * Get consumption data from Smart Meter API
+ * Replace the stored API key; the old token stops working
  */
-function getConsumption() {
-    $apiKey = $_POST['password'] ?? $_POST['apiKey'] ?? '';
-    $meterId = $_POST['meterId'] ?? $_GET['meterId'] ?? '';
-    $period = $_POST['period'] ?? $_GET['period'] ?? 'week';
+function handleRotate() {
+    $token = input('token');
+    $apiKey = trim(input('apiKey'));
+    
+    // Only a valid session may rotate its key
+    loadApiKey($token);
     
     if (empty($apiKey)) {
-        return error('API Key required', 401);
+        return error('API Key required', 400);
+    }
+    
+    verifyApiKey($apiKey);
+    deleteToken($token);
+    
+    return success(issueToken($apiKey));
+}
+
+/**
+ * Make sure the upstream API accepts a key before storing it
+ */
+function verifyApiKey($apiKey) {
+    list($httpCode) = callUpstream(API_METERS_URL, $apiKey);
+    checkUpstreamStatus($httpCode, false);
+}
+
+/**
+ * Store the API key encrypted and return a new token
+ */
+function issueToken($apiKey) {
+    $token = bin2hex(random_bytes(32));
+    $iv = random_bytes(12);
+    $tag = '';
+    $ciphertext = openssl_encrypt($apiKey, WSTW_CIPHER, tokenKey($token), OPENSSL_RAW_DATA, $iv, $tag);
+    $expires = time() + WSTW_TOKEN_TTL;
+    
+    if ($ciphertext === false) {
+        throw new Exception('Encryption failed');
+    }
+    
+    if (!is_dir(WSTW_TOKEN_DIR) && !mkdir(WSTW_TOKEN_DIR, 0700, true)) {
+        throw new Exception('Token directory not writable');
+    }
+    
+    $record = json_encode([
+        'iv' => base64_encode($iv),
+        'tag' => base64_encode($tag),
+        'key' => base64_encode($ciphertext),
+        'expires' => $expires
+    ]);
+    
+    if (file_put_contents(tokenFile($token), $record, LOCK_EX) === false) {
+        throw new Exception('Could not store token');
+    }
+    chmod(tokenFile($token), 0600);
+    
+    return [
+        'token' => $token,
+        'expiresAt' => date(DATE_ATOM, $expires)
+    ];
+}
+
+/**
+ * Decrypt the API key of a token, or fail with 401
+ */
+function loadApiKey($token) {
+    if (!preg_match('/^[a-f0-9]{64}$/', $token)) {
+        return error('Login required', 401, 'SESSION_EXPIRED');
+    }
+    
+    $file = tokenFile($token);
+    $record = is_file($file) ? json_decode(file_get_contents($file), true) : null;
+    
+    if (!$record || $record['expires'] < time()) {
+        if ($record) {
+            unlink($file);
+        }
+        return error('Session expired, please log in again', 401, 'SESSION_EXPIRED');
+    }
+    
+    $apiKey = openssl_decrypt(
+        base64_decode($record['key']),
+        WSTW_CIPHER,
+        tokenKey($token),
+        OPENSSL_RAW_DATA,
+        base64_decode($record['iv']),
+        base64_decode($record['tag'])
+    );
+    
+    if ($apiKey === false) {
+        return error('Login required', 401, 'SESSION_EXPIRED');
+    }
+    
+    return $apiKey;
+}
+
+/**
+ * Encryption key derived from the token, which only the browser knows
+ */
+function tokenKey($token) {
+    return hash('sha256', 'smartmeter-key|' . $token, true);
+}
+
+/**
+ * File of a token; the name does not reveal the token
+ */
+function tokenFile($token) {
+    return WSTW_TOKEN_DIR . '/' . hash('sha256', 'smartmeter-file|' . $token) . '.json';
+}
+
+/**
+ * Remove the stored key of a token
+ */
+function deleteToken($token) {
+    if (preg_match('/^[a-f0-9]{64}$/', $token) && is_file(tokenFile($token))) {
+        unlink(tokenFile($token));
+    }
+}
+
+/**
+ * Delete expired tokens
+ */
+function pruneTokens() {
+    foreach (glob(WSTW_TOKEN_DIR . '/*.json') ?: [] as $file) {
+        $record = json_decode(file_get_contents($file), true);
+        if (!$record || $record['expires'] < time()) {
+            unlink($file);
+        }
     }
+}
+
+/**
+ * Get consumption data from Smart Meter API
+ * day: quarter-hour load curve of yesterday (daily value if not enabled)
+ * week: daily values of the last 7 days
+ * month: daily values of the current month up to yesterday
+ * year: monthly values of the current year up to yesterday
+ * baseline: quarter-hour load curve of the last WSTW_BASELINE_DAYS days
+ */
+function getConsumption() {
+    $apiKey = loadApiKey(input('token'));
+    $meterId = trim(input('meterId'));
+    $period = input('period', 'week');
+    $compare = input('compare');
     
     if (empty($meterId)) {
         return error('Zählpunktnummer (meterId) is required', 400);
     }
     
-    // Calculate date range
-    $endDate = new DateTime();
-    $startDate = clone $endDate;
+    if (!in_array($period, WSTW_PERIODS, true)) {
+        return error('Invalid period: ' . $period, 400);
+    }
+    
+    if (!in_array($compare, WSTW_COMPARISONS, true)) {
+        return error('Invalid compare: ' . $compare, 400);
+    }
+    
+    $range = getPeriodRange($period);
+    if ($compare !== '') {
+        $range = shiftRange($range, $period, $compare);
+    }
+    $loadCurveAvailable = null;
+    
+    if ($range['granularity'] === 'QUARTER_HOUR') {
+        // Quarter-hour values must be enabled in the customer portal
+        list($httpCode, $data) = fetchReadings($apiKey, $meterId, $range, 'QUARTER_HOUR');
+        $loadCurveAvailable = $httpCode === 200 && count(normalizeReadings($data, 'QUARTER_HOUR')) > 0;
+        
+        if (!$loadCurveAvailable && in_array($httpCode, [200, 400, 403], true)) {
+            $range['granularity'] = 'DAY';
+            list($httpCode, $data) = fetchReadings($apiKey, $meterId, $range, 'DAY');
+        }
+    } else {
+        list($httpCode, $data) = fetchReadings($apiKey, $meterId, $range, 'DAY');
+    }
+    
+    checkUpstreamStatus($httpCode);
+    
+    // Monthly values are added up from daily ones
+    if ($range['granularity'] === 'MONTH') {
+        $points = sumByMonth(normalizeReadings($data, 'DAY'));
+    } else {
+        $points = normalizeReadings($data, $range['granularity']);
+    }
+    
+    return success([
+        'period' => $period,
+        'compare' => $compare,
+        'label' => $range['label'],
+        'from' => $range['from']->format('Y-m-d'),
+        'to' => $range['to']->format('Y-m-d'),
+        'granularity' => $range['granularity'],
+        'loadCurveAvailable' => $loadCurveAvailable,
+        'points' => $points,
+        'totals' => computeTotals($points)
+    ]);
+}
+
+/**
+ * Date range (both days inclusive), granularity and label of a period
+ * Every range ends yesterday at the latest: today has no final value yet, and a
+ * compared range must not count as full days what is still missing here.
+ * On the 1st, month and year are the ones that just ended.
+ */
+function getPeriodRange($period) {
+    $today = new DateTime('today', new DateTimeZone(WSTW_TIMEZONE));
+    $yesterday = (clone $today)->modify('-1 day');
     
     switch ($period) {
         case 'day':
-            $startDate->modify('-1 day');
-            break;
+            return [
+                'from' => $yesterday,
+                'to' => $yesterday,
+                'granularity' => 'QUARTER_HOUR',
+                'label' => 'Gestern, ' . $yesterday->format('j.n.Y')
+            ];
         case 'week':
-            $startDate->modify('-7 days');
-            break;
+            $from = (clone $today)->modify('-7 days');
+            return [
+                'from' => $from,
+                'to' => $yesterday,
+                'granularity' => 'DAY',
+                'label' => $from->format('j.n.') . '–' . $yesterday->format('j.n.Y')
+            ];
         case 'month':
-            $startDate->modify('-30 days');
-            break;
+            return [
+                'from' => (clone $yesterday)->modify('first day of this month'),
+                'to' => $yesterday,
+                'granularity' => 'DAY',
+                'label' => WSTW_MONTHS[$yesterday->format('n') - 1] . ' ' . $yesterday->format('Y') . ' (bis ' . $yesterday->format('j.n.') . ')'
+            ];
         case 'year':
-            $startDate->modify('-1 year');
-            break;
+            return [
+                'from' => new DateTime($yesterday->format('Y') . '-01-01', new DateTimeZone(WSTW_TIMEZONE)),
+                'to' => $yesterday,
+                'granularity' => 'MONTH',
+                'label' => $yesterday->format('Y') . ' (bis ' . $yesterday->format('j.n.') . ')'
+            ];
+        case 'baseline':
+            return [
+                'from' => (clone $today)->modify('-' . WSTW_BASELINE_DAYS . ' days'),
+                'to' => $yesterday,
+                'granularity' => 'QUARTER_HOUR',
+                'label' => 'Letzte ' . WSTW_BASELINE_DAYS . ' Tage'
+            ];
     }
+}
+
+/**
+ * Range to compare with: the period before, or the same dates a year ago
+ * A month so far is compared with the same days of the previous month; the
+ * period before a year is the year before, so both comparisons are the same.
+ */
+function shiftRange($range, $period, $compare) {
+    $from = clone $range['from'];
+    $to = clone $range['to'];
     
-    // Build API request
-    $ch = curl_init();
+    if ($compare === 'lastYear' || $period === 'year') {
+        $from->modify('-1 year');
+        $to->modify('-1 year');
+    } elseif ($period === 'month') {
+        $days = $range['from']->diff($range['to'])->days;
+        $from->modify('first day of previous month');
+        $to = (clone $from)->modify('+' . $days . ' days');
+        $lastDay = (clone $from)->modify('last day of this month');
+        // A complete month is compared with the complete month before
+        if ($to > $lastDay || $range['to']->format('j') === $range['to']->format('t')) {
+            $to = $lastDay;
+        }
+    } else {
+        $days = $range['from']->diff($range['to'])->days + 1;
+        $from->modify('-' . $days . ' days');
+        $to->modify('-' . $days . ' days');
+    }
     
+    $range['from'] = $from;
+    $range['to'] = $to;
+    $range['label'] = $from == $to
+        ? $from->format('j.n.Y')
+        : $from->format('j.n.') . '–' . $to->format('j.n.Y');
+    
+    return $range;
+}
+
+/**
+ * Request readings of a Zählpunkt and return [HTTP code, decoded JSON]
+ */
+function fetchReadings($apiKey, $meterId, $range, $granularity) {
     $params = [
-        'dateFrom' => $startDate->format('Y-m-d'),
-        'dateTo' => $endDate->format('Y-m-d'),
-        'granularity' => 'DAY'
+        'dateFrom' => $range['from']->format('Y-m-d'),
+        'dateTo' => $range['to']->format('Y-m-d'),
+        'granularity' => $granularity
     ];
     
     // API endpoint with metering point ID
-    $url = API_CONSUMPTION_URL . '/' . $meterId . '?' . http_build_query($params);
+    return callUpstream(API_CONSUMPTION_URL . '/' . rawurlencode($meterId) . '?' . http_build_query($params), $apiKey);
+}
+
+/**
+ * List the Zählpunkte the API key has access to
+ */
+function getMeters() {
+    $apiKey = loadApiKey(input('token'));
+    
+    list($httpCode, $data) = callUpstream(API_METERS_URL, $apiKey);
+    checkUpstreamStatus($httpCode, false);
+    
+    $items = $data['zaehlpunkte'] ?? $data['meters'] ?? $data['data'] ?? $data;
+    $meters = [];
+    
+    foreach (is_array($items) ? $items : [] as $item) {
+        $id = $item['zaehlpunktnummer'] ?? $item['zaehlpunkt'] ?? $item['meterId'] ?? $item['id'] ?? null;
+        if (!$id) {
+            continue;
+        }
+        
+        $meters[] = [
+            'id' => (string)$id,
+            'name' => $item['bezeichnung'] ?? $item['name'] ?? null,
+            'address' => $item['adresse'] ?? $item['address'] ?? null
+        ];
+    }
+    
+    return success(['meters' => $meters]);
+}
+
+/**
+ * Whether the proxy can store tokens and reach the upstream API
+ * Needs no login; any HTTP answer below 500 counts as reachable.
+ */
+function handleHealth() {
+    $ch = curl_init();
+    
+    curl_setopt_array($ch, [
+        CURLOPT_URL => API_METERS_URL,
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_NOBODY => true,
+        CURLOPT_TIMEOUT => WSTW_HEALTH_TIMEOUT
+    ]);
+    
+    curl_exec($ch);
+    $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    curl_close($ch);
+    
+    $tokenDir = is_dir(WSTW_TOKEN_DIR) ? WSTW_TOKEN_DIR : dirname(WSTW_TOKEN_DIR);
+    $storage = is_writable($tokenDir) && function_exists('openssl_encrypt');
+    $upstream = $httpCode > 0 && $httpCode < 500;
+    
+    return success([
+        'status' => $storage ? ($upstream ? 'ok' : 'degraded') : 'error',
+        'upstream' => $upstream,
+        'time' => date(DATE_ATOM)
+    ]);
+}
+
+/**
+ * GET an upstream URL with the API key and return [HTTP code, decoded JSON]
+ * Connection problems and invalid JSON end the request with a 502.
+ */
+function callUpstream($url, $apiKey) {
+    $ch = curl_init();
     
     curl_setopt_array($ch, [
         CURLOPT_URL => $url,
         CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_TIMEOUT => WSTW_TIMEOUT,
         CURLOPT_HTTPHEADER => [
             'Accept: application/json',
             'X-API-Key: ' . $apiKey  // API key authentication
@@ -127,60 +532,232 @@ function getConsumption() {
     curl_close($ch);
     
     if ($curlError) {
-        return error('Connection error: ' . $curlError, 500);
+        return error('Connection error: ' . $curlError, 502, 'UPSTREAM_UNAVAILABLE');
+    }
+    
+    if ($httpCode !== 200) {
+        return [$httpCode, null];
+    }
+    
+    $data = json_decode($response, true);
+    if (json_last_error() !== JSON_ERROR_NONE) {
+        return error('Invalid JSON response', 502, 'UPSTREAM_ERROR');
     }
     
+    return [$httpCode, $data];
+}
+
+/**
+ * Turn an unsuccessful upstream status into the matching error response
+ * A 404 only means an unknown Zählpunkt if the request was for one; the list of
+ * Zählpunkte (login, meters) has no Zählpunkt to miss.
+ */
+function checkUpstreamStatus($httpCode, $meterRequest = true) {
     if ($httpCode === 200) {
-        $data = json_decode($response, true);
-        
-        if (json_last_error() !== JSON_ERROR_NONE) {
-            return error('Invalid JSON response', 500);
+        return;
+    }
+    
+    if ($httpCode === 401 || $httpCode === 403) {
+        return error('Unauthorized: Invalid API Key', 401, 'INVALID_CREDENTIALS');
+    }
+    
+    if ($httpCode === 404 && $meterRequest) {
+        return error('Zählpunkt nicht gefunden', 404, 'METER_NOT_FOUND');
+    }
+    
+    if ($httpCode >= 500) {
+        return error('Wien Energie API not available: HTTP ' . $httpCode, 502, 'UPSTREAM_UNAVAILABLE');
+    }
+    
+    return error('API error: HTTP ' . $httpCode, 502, 'UPSTREAM_ERROR');
+}
+
+/**
+ * Turn any known upstream format into a list of points
+ * Formats (see data/smartmeter/):
+ * - zaehlwerke: [{ obisCode, einheit, messwerte: [{ messwert, zeitVon, qualitaet }] }]
+ *   only the consumption register is read, a feed-in register is ignored
+ * - values: [{ timestamp, value }]
+ * - messwerte: [{ zeitVon, wert, geschaetzt }]
+ * - data: [{ date, consumption }]
+ */
+function normalizeReadings($data, $granularity) {
+    $points = [];
+    
+    if (isset($data['zaehlwerke']) && is_array($data['zaehlwerke'])) {
+        $register = null;
+        foreach ($data['zaehlwerke'] as $candidate) {
+            if (in_array($candidate['obisCode'] ?? null, WSTW_CONSUMPTION_OBIS, true)) {
+                $register = $candidate;
+                break;
+            }
         }
         
-        // Calculate total consumption
-        $totalConsumption = 0;
+        if ($register === null) {
+            return error('No consumption register in Wien Energie API response', 502, 'UPSTREAM_ERROR');
+        }
         
-        // Try different possible response formats
-        if (isset($data['values']) && is_array($data['values'])) {
-            foreach ($data['values'] as $reading) {
-                $totalConsumption += floatval($reading['value'] ?? $reading['wert'] ?? 0);
-            }
-        } elseif (isset($data['messwerte']) && is_array($data['messwerte'])) {
-            foreach ($data['messwerte'] as $reading) {
-                $totalConsumption += floatval($reading['wert'] ?? $reading['value'] ?? 0);
-            }
-        } elseif (isset($data['data']) && is_array($data['data'])) {
-            foreach ($data['data'] as $reading) {
-                $totalConsumption += floatval($reading['consumption'] ?? $reading['verbrauch'] ?? 0);
+        foreach ($register['messwerte'] ?? [] as $item) {
+            $points[] = normalizePoint($item, ['messwert', 'wert'], $register['einheit'] ?? 'KWH', $granularity);
+        }
+        return $points;
+    }
+    
+    $formats = [
+        'values' => ['value', 'wert'],
+        'messwerte' => ['wert', 'value'],
+        'data' => ['consumption', 'verbrauch']
+    ];
+    
+    foreach ($formats as $listKey => $valueKeys) {
+        if (isset($data[$listKey]) && is_array($data[$listKey])) {
+            $unit = $data['unit'] ?? $data['einheit'] ?? 'KWH';
+            foreach ($data[$listKey] as $item) {
+                $points[] = normalizePoint($item, $valueKeys, $item['unit'] ?? $item['einheit'] ?? $unit, $granularity);
             }
+            return $points;
         }
-        
-        return success([
-            'weeklyConsumption' => round($totalConsumption, 2),
-            'period' => 'Diese Woche',
+    }
+    
+    return error('Unknown response format from Wien Energie API', 502, 'UPSTREAM_ERROR');
+}
+
+/**
+ * One point of the series; values in Wh are converted to kWh
+ * A missing value stays null, a missing or unreadable field is a format error.
+ */
+function normalizePoint($item, $valueKeys, $unit, $granularity) {
+    $time = null;
+    foreach (['zeitVon', 'timestamp', 'zeitpunkt', 'date', 'datum'] as $key) {
+        if (!empty($item[$key])) {
+            $time = $item[$key];
+            break;
+        }
+    }
+    
+    $valueKey = null;
+    foreach ($valueKeys as $key) {
+        if (is_array($item) && array_key_exists($key, $item)) {
+            $valueKey = $key;
+            break;
+        }
+    }
+    
+    $factors = ['KWH' => 1, 'WH' => 0.001];
+    $factor = $factors[strtoupper((string)$unit)] ?? null;
+    
+    if ($time === null || $valueKey === null || $factor === null) {
+        return error('Unknown response format from Wien Energie API', 502, 'UPSTREAM_ERROR');
+    }
+    
+    $value = $item[$valueKey];
+    if (is_string($value)) {
+        // Some responses use a decimal comma
+        $value = str_replace(',', '.', $value);
+    }
+    if ($value !== null && !is_numeric($value)) {
+        return error('Invalid value in Wien Energie API response: ' . $item[$valueKey], 502, 'UPSTREAM_ERROR');
+    }
+    
+    try {
+        $date = new DateTime($time, new DateTimeZone(WSTW_TIMEZONE));
+    } catch (Exception $e) {
+        return error('Invalid time in Wien Energie API response: ' . $time, 502, 'UPSTREAM_ERROR');
+    }
+    $date->setTimezone(new DateTimeZone(WSTW_TIMEZONE));
+    
+    return [
+        'time' => $date->format(DATE_ATOM),
+        'value' => $value === null ? null : round(floatval($value) * $factor, 3),
+        'unit' => 'kWh',
+        'granularity' => $granularity,
+        'estimated' => isEstimated($item)
+    ];
+}
+
+/**
+ * Whether the upstream marks a value as estimated (substitute value)
+ */
+function isEstimated($item) {
+    if (isset($item['estimated'])) {
+        return (bool)$item['estimated'];
+    }
+    
+    if (isset($item['geschaetzt'])) {
+        return (bool)$item['geschaetzt'];
+    }
+    
+    $quality = strtoupper((string)($item['qualitaet'] ?? $item['quality'] ?? ''));
+    return in_array($quality, ['EST', 'ESTIMATED', 'GESCHAETZT'], true);
+}
+
+/**
+ * Add up daily points per month
+ */
+function sumByMonth($points) {
+    $months = [];
+    
+    foreach ($points as $point) {
+        $month = substr($point['time'], 0, 7);
+        if (!isset($months[$month])) {
+            $months[$month] = ['value' => null, 'estimated' => false];
+        }
+        if ($point['value'] !== null) {
+            $months[$month]['value'] += $point['value'];
+        }
+        $months[$month]['estimated'] = $months[$month]['estimated'] || $point['estimated'];
+    }
+    
+    ksort($months);
+    $result = [];
+    foreach ($months as $month => $sum) {
+        $start = new DateTime($month . '-01', new DateTimeZone(WSTW_TIMEZONE));
+        $result[] = [
+            'time' => $start->format(DATE_ATOM),
+            'value' => $sum['value'] === null ? null : round($sum['value'], 3),
             'unit' => 'kWh',
-            'rawData' => $data
-        ]);
-    } elseif ($httpCode === 401) {
-        return error('Unauthorized: Invalid API Key', 401);
-    } elseif ($httpCode === 404) {
-        return error('Zählpunkt nicht gefunden', 404);
-    } else {
-        return error('API error: HTTP ' . $httpCode . ' - ' . substr($response, 0, 200), $httpCode);
+            'granularity' => 'MONTH',
+            'estimated' => $sum['estimated']
+        ];
     }
+    
+    return $result;
 }
 
 /**
- * Handle logout
+ * Totals of a series: sum, estimated part and number of missing values
  */
-function handleLogout() {
-    // Clean up session and cookies
-    $cookieFile = sys_get_temp_dir() . '/we_cookies_' . session_id() . '.txt';
-    if (file_exists($cookieFile)) {
-        unlink($cookieFile);
+function computeTotals($points) {
+    $value = 0;
+    $estimated = 0;
+    $missing = 0;
+    
+    foreach ($points as $point) {
+        if ($point['value'] === null) {
+            $missing++;
+            continue;
+        }
+        $value += $point['value'];
+        if ($point['estimated']) {
+            $estimated += $point['value'];
+        }
     }
     
-    session_destroy();
+    return [
+        'value' => round($value, 3),
+        'unit' => 'kWh',
+        'estimated' => round($estimated, 3),
+        'points' => count($points),
+        'missing' => $missing
+    ];
+}
+
+/**
+ * Handle logout
+ * Deletes the stored key, so the token cannot be used again
+ */
+function handleLogout() {
+    deleteToken(input('token'));
     return success(['message' => 'Logged out successfully']);
 }
 
@@ -197,20 +774,24 @@ function success($data) {
 
 /**
  * Return error response
+ * $reason is one of the error codes listed at the top of this file.
  */
-function error($message, $code = 400) {
+function error($message, $code = 400, $reason = 'INVALID_REQUEST') {
     http_response_code($code);
     echo json_encode([
         'success' => false,
-        'error' => $message
+        'error' => $message,
+        'code' => $reason
     ]);
     exit();
 }
 
 // Execute request handler
-try {
-    handleRequest();
-} catch (Exception $e) {
-    error('Server error: ' . $e->getMessage(), 500);
+if (!defined('WSTW_FUNCTIONS_ONLY')) {
+    try {
+        handleRequest();
+    } catch (Exception $e) {
+        error('Server error: ' . $e->getMessage(), 500, 'SERVER_ERROR');
+    }
 }
 ?>
@@ -0,0 +1,205 @@
+<?php
+/**
+ * Wiener Linien Realtime API Proxy
+ * Forwards ogd_realtime/monitor requests for the departure monitor
+ *
+ * API Endpoint: https://www.wienerlinien.at/ogd_realtime/monitor
+ *
+ * Usage: wienerlinien-proxy.php?rbl=623,592&activateTrafficInfo=stoerunglang
+ *
+ * - Only allowlisted parameters are forwarded
+ * - All RBLs of a request are batched into one upstream call
+ * - Responses are cached for a few seconds, so many open monitors
+ *   do not multiply upstream traffic
+ */
+
+header('Content-Type: application/json');
+
+// Configuration
+define('WL_MONITOR_URL', 'https://www.wienerlinien.at/ogd_realtime/monitor');
+define('WL_CACHE_TTL', 15); // Seconds
+define('WL_CACHE_DIR', sys_get_temp_dir());
+define('WL_MAX_RBLS', 20); // Keep in sync with MAX_BATCH_RBLS in js/monitor.js
+define('WL_TIMEOUT', 10); // Seconds
+define('WL_TRAFFIC_INFO_TYPES', ['stoerungkurz', 'stoerunglang', 'aufzugsinfo', 'fahrtreppeninfo', 'information']);
+
+/**
+ * Main request handler
+ */
+function handleRequest() {
+    if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+        return error('Method not allowed', 405);
+    }
+
+    $rbls = parseList($_GET['rbl'] ?? '');
+    $trafficInfos = parseList($_GET['activateTrafficInfo'] ?? '');
+
+    if (empty($rbls)) {
+        return error('Parameter rbl is required', 400);
+    }
+
+    if (count($rbls) > WL_MAX_RBLS) {
+        return error('Too many RBL numbers (max ' . WL_MAX_RBLS . ')', 400);
+    }
+
+    foreach ($rbls as $rbl) {
+        if (!ctype_digit($rbl)) {
+            return error('Invalid RBL number: ' . $rbl, 400);
+        }
+    }
+
+    foreach ($trafficInfos as $type) {
+        if (!in_array($type, WL_TRAFFIC_INFO_TYPES, true)) {
+            return error('Invalid activateTrafficInfo value: ' . $type, 400);
+        }
+    }
+
+    // Normalize so the same set of stops shares one cache entry
+    sort($rbls);
+    $rbls = array_values(array_unique($rbls));
+    sort($trafficInfos);
+    $trafficInfos = array_values(array_unique($trafficInfos));
+
+    $query = buildQuery($rbls, $trafficInfos);
+    return respond(fetchCached($query));
+}
+
+/**
+ * Accept both rbl=1,2 and rbl[]=1&rbl[]=2
+ */
+function parseList($value) {
+    $items = is_array($value) ? $value : explode(',', (string)$value);
+    $items = array_map('trim', array_map('strval', $items));
+    return array_values(array_filter($items, 'strlen'));
+}
+
+/**
+ * Build the upstream query; the API expects repeated keys (rbl=1&rbl=2)
+ */
+function buildQuery($rbls, $trafficInfos) {
+    $parts = [];
+    foreach ($rbls as $rbl) {
+        $parts[] = 'rbl=' . rawurlencode($rbl);
+    }
+    foreach ($trafficInfos as $type) {
+        $parts[] = 'activateTrafficInfo=' . rawurlencode($type);
+    }
+    return implode('&', $parts);
+}
+
+/**
+ * Return a cached response or fetch a fresh one
+ * A lock makes concurrent requests wait for a single upstream call.
+ */
+function fetchCached($query) {
+    $cacheFile = WL_CACHE_DIR . '/wl_monitor_' . sha1($query) . '.json';
+
+    $cached = readCache($cacheFile);
+    if ($cached !== null) {
+        header('X-Cache: HIT');
+        return $cached;
+    }
+
+    $lock = fopen($cacheFile . '.lock', 'c');
+    if ($lock) {
+        flock($lock, LOCK_EX);
+    }
+
+    try {
+        // Another request may have refreshed the cache while we waited
+        $cached = readCache($cacheFile);
+        if ($cached !== null) {
+            header('X-Cache: HIT');
+            return $cached;
+        }
+
+        $response = fetchUpstream($query);
+        file_put_contents($cacheFile, $response, LOCK_EX);
+        header('X-Cache: MISS');
+        return $response;
+    } finally {
+        if ($lock) {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+}
+
+/**
+ * Read a cache file if it is still fresh
+ */
+function readCache($cacheFile) {
+    if (!is_file($cacheFile) || time() - filemtime($cacheFile) >= WL_CACHE_TTL) {
+        return null;
+    }
+
+    $content = file_get_contents($cacheFile);
+    return $content === false ? null : $content;
+}
+
+/**
+ * Call the Wiener Linien API
+ */
+function fetchUpstream($query) {
+    $ch = curl_init();
+
+    curl_setopt_array($ch, [
+        CURLOPT_URL => WL_MONITOR_URL . '?' . $query,
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_TIMEOUT => WL_TIMEOUT,
+        CURLOPT_HTTPHEADER => [
+            'Accept: application/json'
+        ]
+    ]);
+
+    $response = curl_exec($ch);
+    $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    $curlError = curl_error($ch);
+    curl_close($ch);
+
+    if ($curlError) {
+        throw new RuntimeException('Connection error: ' . $curlError);
+    }
+
+    if ($httpCode !== 200) {
+        throw new RuntimeException('Upstream error: HTTP ' . $httpCode);
+    }
+
+    json_decode($response);
+    if (json_last_error() !== JSON_ERROR_NONE) {
+        throw new RuntimeException('Invalid JSON response');
+    }
+
+    return $response;
+}
+
+/**
+ * Return the upstream JSON unchanged
+ */
+function respond($json) {
+    header('Cache-Control: public, max-age=' . WL_CACHE_TTL);
+    echo $json;
+    exit();
+}
+
+/**
+ * Return error response
+ */
+function error($message, $code = 400) {
+    http_response_code($code);
+    echo json_encode([
+        'success' => false,
+        'error' => $message
+    ]);
+    exit();
+}
+
+// Execute request handler
+try {
+    handleRequest();
+} catch (RuntimeException $e) {
+    error($e->getMessage(), 502);
+} catch (Exception $e) {
+    error('Server error: ' . $e->getMessage(), 500);
+}
+?>
@@ -0,0 +1,320 @@
+/**
+ * Wiener Linien Monitor - Punctuality History
+ * Records observed departures in IndexedDB and shows delay statistics
+ * per line and hour of day
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        DB_NAME: 'wl-monitor-history',
+        DB_VERSION: 1,
+        STORE: 'departures',
+        RETENTION_DAYS: 90, // Observations older than this are deleted
+        LATE_THRESHOLD: 3, // Minutes of delay that count as late
+        CSV_FILENAME: 'wl-puenktlichkeit.csv',
+        TIME_ZONE: 'Europe/Vienna' // Hours of the statistics, whatever the device's zone
+    };
+
+    let dbPromise = null;
+    const hourFormat = new Intl.DateTimeFormat('de-AT', { timeZone: CONFIG.TIME_ZONE, hour: 'numeric', hourCycle: 'h23' });
+
+    /**
+     * Initialize the statistics view
+     */
+    function init() {
+        const toggle = document.getElementById('show-statistics');
+        if (!toggle || !('indexedDB' in window)) {
+            return;
+        }
+
+        toggle.addEventListener('click', function() {
+            const section = document.getElementById('statistics');
+            const opening = section.style.display !== 'block';
+            section.style.display = opening ? 'block' : 'none';
+            if (opening) {
+                renderStatistics();
+            }
+        });
+
+        document.getElementById('statistics-line').addEventListener('change', renderStatistics);
+        document.getElementById('export-csv').addEventListener('click', exportCsv);
+
+        pruneOldRecords();
+    }
+
+    /**
+     * Open (and create) the database
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+                request.onupgradeneeded = function() {
+                    const store = request.result.createObjectStore(CONFIG.STORE, { keyPath: 'id' });
+                    store.createIndex('line', 'line');
+                    store.createIndex('planned', 'planned');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    function withStore(mode, callback) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.STORE, mode);
+            const result = callback(transaction.objectStore(CONFIG.STORE));
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * Store observed departures
+     * Each refresh overwrites the previous observation of the same departure,
+     * so the record ends up with the last real time before it left.
+     *
+     * @param {Array} departures Objects with rbl, stop, line, towards, planned and real (ms)
+     */
+    function recordDepartures(departures) {
+        const observed = departures.filter(dep => dep.planned !== null && dep.real !== null);
+        if (observed.length === 0) {
+            return Promise.resolve();
+        }
+
+        const now = Date.now();
+        return withStore('readwrite', store => {
+            observed.forEach(dep => {
+                store.put({
+                    id: `${dep.rbl}|${dep.line}|${dep.towards}|${dep.planned}`,
+                    rbl: dep.rbl,
+                    stop: dep.stop,
+                    line: dep.line,
+                    towards: dep.towards,
+                    planned: dep.planned,
+                    real: dep.real,
+                    delay: (dep.real - dep.planned) / 60000,
+                    hour: getHour(dep.planned),
+                    updatedAt: now
+                });
+            });
+        }).catch(error => console.warn('Could not record departures:', error));
+    }
+
+    /**
+     * Hour of day (0-23) of a time in TIME_ZONE
+     */
+    function getHour(time) {
+        const part = hourFormat.formatToParts(time).find(item => item.type === 'hour');
+        return parseInt(part.value, 10);
+    }
+
+    /**
+     * Delete observations past the retention period
+     */
+    function pruneOldRecords() {
+        const limit = Date.now() - CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        return withStore('readwrite', store => {
+            store.index('planned').openCursor(IDBKeyRange.upperBound(limit)).onsuccess = function(e) {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        }).catch(error => console.warn('Could not prune departure history:', error));
+    }
+
+    /**
+     * All departures within the retention period that have already left, oldest first
+     */
+    function getDepartedRecords() {
+        return pruneOldRecords()
+            .then(() => withStore('readonly', store => store.getAll()))
+            .then(records => records
+                .filter(record => record.real < Date.now())
+                .sort((a, b) => a.planned - b.planned));
+    }
+
+    /**
+     * Average delay and share of late departures per line, direction and hour
+     */
+    function computeStatistics(records) {
+        const groups = {};
+
+        records.forEach(record => {
+            const key = `${record.line}|${record.towards}|${record.hour}`;
+            if (!groups[key]) {
+                groups[key] = {
+                    line: record.line,
+                    towards: record.towards,
+                    hour: record.hour,
+                    count: 0,
+                    totalDelay: 0,
+                    late: 0
+                };
+            }
+
+            const group = groups[key];
+            group.count++;
+            group.totalDelay += record.delay;
+            if (record.delay > CONFIG.LATE_THRESHOLD) {
+                group.late++;
+            }
+        });
+
+        return Object.values(groups)
+            .map(group => ({
+                line: group.line,
+                towards: group.towards,
+                hour: group.hour,
+                count: group.count,
+                averageDelay: group.totalDelay / group.count,
+                lateShare: group.late / group.count
+            }))
+            .sort((a, b) => a.line.localeCompare(b.line, 'de', { numeric: true })
+                || a.towards.localeCompare(b.towards, 'de')
+                || a.hour - b.hour);
+    }
+
+    /**
+     * Render the statistics table
+     */
+    function renderStatistics() {
+        const tbody = document.getElementById('statistics-body');
+        const lineSelect = document.getElementById('statistics-line');
+
+        getDepartedRecords()
+            .then(records => {
+                updateLineOptions(lineSelect, records);
+
+                const selected = lineSelect.value;
+                const rows = computeStatistics(selected ? records.filter(record => record.line === selected) : records);
+
+                tbody.innerHTML = '';
+                if (rows.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="6" class="loading">Noch keine Beobachtungen aufgezeichnet.</td></tr>';
+                    return;
+                }
+
+                rows.forEach(stat => tbody.appendChild(createStatisticsRow(stat)));
+                document.getElementById('statistics-summary').textContent =
+                    `${records.length} Abfahrten seit ${new Date(records[0].planned).toLocaleDateString('de-AT')}`;
+            })
+            .catch(error => {
+                console.error('Error loading departure history:', error);
+                tbody.innerHTML = '<tr><td colspan="6" class="loading">Statistik nicht verfügbar.</td></tr>';
+            });
+    }
+
+    /**
+     * Offer every recorded line in the filter
+     */
+    function updateLineOptions(select, records) {
+        const selected = select.value;
+        const lines = [...new Set(records.map(record => record.line))]
+            .sort((a, b) => a.localeCompare(b, 'de', { numeric: true }));
+
+        select.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = 'Alle Linien';
+        select.appendChild(all);
+
+        lines.forEach(line => {
+            const option = document.createElement('option');
+            option.value = line;
+            option.textContent = line;
+            select.appendChild(option);
+        });
+
+        select.value = lines.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Create one statistics row
+     */
+    function createStatisticsRow(stat) {
+        const row = document.createElement('tr');
+        const cells = [
+            stat.line,
+            stat.towards,
+            `${String(stat.hour).padStart(2, '0')}:00–${String(stat.hour + 1).padStart(2, '0')}:00`,
+            String(stat.count),
+            `${stat.averageDelay >= 0 ? '+' : ''}${stat.averageDelay.toFixed(1)} min`,
+            `${Math.round(stat.lateShare * 100)} %`
+        ];
+
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        if (stat.lateShare >= 0.25) {
+            row.className = 'statistics-unreliable';
+        }
+
+        return row;
+    }
+
+    /**
+     * Download all recorded departures as CSV
+     */
+    function exportCsv() {
+        getDepartedRecords()
+            .then(records => {
+                const header = ['rbl', 'stop', 'line', 'towards', 'planned', 'real', 'delay_minutes'];
+                const lines = records.map(record => [
+                    record.rbl,
+                    record.stop,
+                    record.line,
+                    record.towards,
+                    new Date(record.planned).toISOString(),
+                    new Date(record.real).toISOString(),
+                    record.delay.toFixed(2)
+                ].map(toCsvField).join(';'));
+
+                const blob = new Blob([[header.join(';')].concat(lines).join('\r\n')], { type: 'text/csv;charset=utf-8' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = CONFIG.CSV_FILENAME;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            })
+            .catch(error => {
+                console.error('Error exporting departure history:', error);
+                alert('Export fehlgeschlagen.');
+            });
+    }
+
+    /**
+     * Quote a CSV field when needed
+     */
+    function toCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    window.DepartureHistory = {
+        record: recordDepartures
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -10,34 +10,423 @@
     const CONFIG = {
         API_BASE_URL: 'https://www.wienerlinien.at/ogd_realtime/monitor',
         REFRESH_INTERVAL: 30000, // 30 seconds
-        CORS_PROXY: 'https://api.allorigins.win/raw?url=', // CORS proxy for development
+        TICK_INTERVAL: 1000, // Recompute countdowns locally between refreshes
+        BACKOFF_BASE: 60000, // First retry after a failure; jitter at most halves it, so never before REFRESH_INTERVAL
+        BACKOFF_MAX: 5 * 60 * 1000, // Never wait longer than 5 minutes between retries
+        API_MODE: 'proxy', // 'proxy' (self-hosted, see WL_PROXY) or 'direct' (API_BASE_URL)
+        WL_PROXY: 'inc/wienerlinien-proxy.php', // Batches RBLs and caches responses server-side
+        MAX_BATCH_RBLS: 20, // RBLs per monitor request, the limit of the proxy (WL_MAX_RBLS)
+        TRAFFIC_INFO_TYPES: ['stoerunglang', 'aufzugsinfo'],
         MAX_DEPARTURES: 8, // Maximum number of departures to display
+        CACHE_KEY_PREFIX: 'wl_departures_', // localStorage key per RBL for the last good response
+        CACHE_MAX_AGE: 6 * 60 * 60 * 1000, // Discard cached departures older than 6 hours
+        SERVICE_WORKER_URL: 'monitor-sw.js',
+        // Wiener Linien OGD stops, platforms and lines. The repository ships a sample
+        // (6 stops on U6 and 5A); build the full dataset with
+        // `php inc/build-station-data.php` and set STATION_DATA_SAMPLE to false.
+        STATION_DATA: {
+            haltestellen: 'data/wienerlinien-ogd-haltestellen.csv',
+            steige: 'data/wienerlinien-ogd-steige.csv',
+            linien: 'data/wienerlinien-ogd-linien.csv'
+        },
+        STATION_DATA_SAMPLE: true, // Search tells users that most stations are missing
+        MAX_SEARCH_RESULTS: 8,
+        DEFAULT_RBLS: ['623', '592'], // Allerheiligengasse both directions
+        PROFILES_KEY: 'wl_monitor_profiles', // localStorage key for named station profiles
+        STATE_KEY: 'wl_monitor_state', // localStorage key for the last used configuration
+        LINE_FILTERS_KEY: 'wl_monitor_line_filters', // localStorage key for excluded lines per station
+        ALERTS_KEY: 'wl_monitor_alerts', // localStorage key for departure alerts per station
+        DASHBOARD_KEY: 'wl_monitor_dashboard', // localStorage key for the dashboard panels
+        ALERT_MINUTES: 5, // Default lead time of departure alerts
+        REPLAY_DIR: 'data/replay/', // Recorded fixtures for ?replay=<scenario>
+        GROUPED_COUNTDOWNS: 3, // Countdowns per row in the grouped view
+        KIOSK_ROTATE_INTERVAL: 20, // Seconds per station when rotating in kiosk mode
+        KIOSK_NIGHT_SCHEDULE: '22:00-06:00', // Dim the screen in this time window (kiosk mode)
+        KIOSK_EXIT_TAPS: 5, // Taps in the top left corner that leave kiosk mode
+        TRAFFIC_INFO_PREVIEW_LENGTH: 160, // Longer descriptions are collapsed
         WEATHER_API_URL: 'https://api.open-meteo.com/v1/forecast',
-        VIENNA_LAT: 48.2082,
-        VIENNA_LON: 16.3738,
-        // Wien Energie Smart Meter API
-        SMARTMETER_API_URL: 'https://api.wstw.at/gateway/WN_SMART_METER_API/1.0',
-        SMARTMETER_PROXY: 'inc/smartmeter-proxy.php' // Backend proxy for secure API access
+        WEATHER_TIME_ZONE: 'Europe/Vienna', // Forecast day and the hours shown, whatever the device's zone
+        // Weather location when the selected station has no coordinates
+        WEATHER_HOME: { name: 'Wien Zentrum', lat: 48.2082, lon: 16.3738 },
+        NOWCAST_SLOTS: 8, // 15-minute precipitation slots (two hours)
+        RAIN_THRESHOLD: 0.1, // mm per 15 minutes that count as rain
+        UMBRELLA_WINDOW: 30, // Minutes ahead in which rain triggers the umbrella banner
+        // Wien Energie Smart Meter (requests go through js/smartmeter.js)
+        SMARTMETER_TIME_ZONE: 'Europe/Vienna', // Days and months of the consumption series
+        SMARTMETER_LABELS: {
+            day: 'Verbrauch gestern',
+            week: 'Verbrauch 7 Tage',
+            month: 'Monatsverbrauch',
+            year: 'Jahresverbrauch'
+        },
+        // Short texts per error code of the smart meter proxy
+        SMARTMETER_ERRORS: {
+            SESSION_EXPIRED: 'Bitte neu anmelden',
+            INVALID_CREDENTIALS: 'API Key ungültig',
+            METER_NOT_FOUND: 'Zählpunkt nicht gefunden',
+            UPSTREAM_UNAVAILABLE: 'Wien Energie nicht erreichbar',
+            UPSTREAM_ERROR: 'Unerwartete Antwort von Wien Energie',
+            NETWORK: 'Server nicht erreichbar'
+        }
     };
 
+    // Parsing and line helpers shared with the <wl-departures> element
+    const {
+        LINE_CATEGORIES,
+        parseApiTime,
+        extractDepartures,
+        recomputeCountdowns,
+        getCountdownSignature,
+        getLineClass
+    } = window.WlDepartures;
+    const SmartMeter = window.SmartMeter;
+
     let refreshTimer = null;
-    let currentRBLs = ['623', '592']; // Default: Allerheiligengasse both directions
+    let tickTimer = null;
+    let clockOffset = 0; // Server time minus local time, from the last live response
+    let failureCount = 0; // Consecutive refreshes with at least one failed RBL
+    let nextRefreshAt = 0;
+    let loadSequence = 0; // Responses of superseded loads are ignored
+    let lastDepartureKey = null; // Station key of the departures on screen
+    let currentRBLs = CONFIG.DEFAULT_RBLS.slice();
+    let maxDepartures = CONFIG.MAX_DEPARTURES;
+    let currentProfile = ''; // Name of the active station profile, if any
+    let viewMode = 'grouped'; // 'grouped' (one row per line and direction) or 'flat'
+    let layout = 'single'; // 'single' table or 'dashboard' with one panel per station
+    let dashboardPanels = []; // Dashboard panels: { title, rbls, max }
+    let accessibleOnly = false; // Only show barrier-free vehicles
+    let highContrast = null; // High-contrast line colours; null follows the system setting
+    let walkingTime = 0; // Minutes to walk to the stop, stored with the profile
+    let hideUnreachable = false; // Hide instead of grey out departures that cannot be reached
+    let alertMinutes = CONFIG.ALERT_MINUTES;
+    let alertMode = 'chime'; // 'notification' or 'chime'
+    let firedAlerts = {}; // Departure id -> time the alert fired
+    let chimeContext = null; // AudioContext of the chime, created in a user gesture
+    let replay = null; // Recorded scenario replayed instead of the live APIs
+    let lastDepartureData = null; // Last merged response, re-rendered when view or filters change
+    let kiosk = null; // Kiosk mode settings and timers while active
+    let disruptedLines = {}; // Line name -> DOM id of the traffic info affecting it
+    let weatherLocation = null; // Place the weather is shown for, derived from the station
+    let smartMeterPeriod = 'week'; // 'day', 'week', 'month' or 'year'
+    let smartMeterSequence = 0; // Responses of superseded smart meter loads are ignored
+    let stationIndex = null; // Promise resolving to the parsed OGD stations
+    let searchMatches = [];
+    let activeMatch = -1;
 
     /**
      * Initialize the monitor
      */
     function init() {
+        registerServiceWorker();
+        restoreState();
         setupEventListeners();
-        loadDepartures();
-        loadWeather();
-        // loadSmartMeterData();
+        renderProfileSelect();
+        syncStationSelect();
+        renderViewToggle();
+        renderDashboardPanels();
+        document.getElementById('accessible-only').checked = accessibleOnly;
+        document.getElementById('walking-time').value = walkingTime;
+        document.getElementById('hide-unreachable').checked = hideUnreachable;
+        document.getElementById('alert-minutes').value = alertMinutes;
+        document.getElementById('alert-mode').value = alertMode;
+        applyContrast();
+        initKioskMode();
+        // Weather is loaded once the station location is known
+        if (!initReplayMode()) {
+            loadDepartures();
+        }
+        loadSmartMeterData();
         
-        // Auto-refresh every 30 seconds
-        refreshTimer = setInterval(loadDepartures, CONFIG.REFRESH_INTERVAL);
+        // Auto-refresh is scheduled by loadDepartures; pause it while the page is hidden
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        // Tick countdowns down between refreshes
+        tickTimer = setInterval(tickCountdowns, CONFIG.TICK_INTERVAL);
         // Refresh weather every 10 minutes
         setInterval(loadWeather, 600000);
         // Refresh smart meter data every 30 minutes
-        // setInterval(loadSmartMeterData, 1800000);
+        setInterval(loadSmartMeterData, 1800000);
+    }
+
+    /**
+     * Register the service worker so the page itself loads without network
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+            return;
+        }
+
+        navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL)
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
+    /**
+     * Enter kiosk mode when requested in the query string
+     * Example: monitor.html?kiosk=1&rotate=Home,Office&interval=30&night=23:00-05:30
+     */
+    function initKioskMode() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('kiosk') || params.get('kiosk') === '0') {
+            return;
+        }
+
+        const profiles = getProfiles();
+        const interval = parseInt(params.get('interval'), 10);
+
+        kiosk = {
+            stations: (params.get('rotate') || '').split(',').map(name => name.trim()).filter(name => profiles[name]),
+            interval: (interval > 0 ? interval : CONFIG.KIOSK_ROTATE_INTERVAL) * 1000,
+            night: parseTimeWindow(params.get('night') || CONFIG.KIOSK_NIGHT_SCHEDULE),
+            wakeLock: null,
+            rotateTimer: null,
+            dimTimer: null,
+            taps: []
+        };
+
+        document.body.classList.add('kiosk');
+        document.getElementById('kiosk-exit-zone').addEventListener('click', registerKioskExitTap);
+        document.addEventListener('visibilitychange', requestWakeLock);
+
+        if (kiosk.stations.length > 1) {
+            if (!kiosk.stations.includes(currentProfile)) {
+                applyProfile(kiosk.stations[0]);
+            }
+            kiosk.rotateTimer = setInterval(rotateKioskStation, kiosk.interval);
+        }
+
+        updateKioskTitle();
+        requestWakeLock();
+        updateNightDimming();
+        kiosk.dimTimer = setInterval(updateNightDimming, 60000);
+    }
+
+    /**
+     * Show the next configured station profile
+     */
+    function rotateKioskStation() {
+        const index = kiosk.stations.indexOf(currentProfile);
+        selectProfile(kiosk.stations[(index + 1) % kiosk.stations.length]);
+        updateKioskTitle();
+    }
+
+    /**
+     * Name the displayed station while the header is hidden
+     */
+    function updateKioskTitle() {
+        document.getElementById('kiosk-title').textContent = currentProfile;
+    }
+
+    /**
+     * Keep the screen on; the lock is released whenever the page is hidden
+     */
+    function requestWakeLock() {
+        if (!kiosk || !('wakeLock' in navigator) || document.visibilityState !== 'visible') {
+            return;
+        }
+
+        navigator.wakeLock.request('screen')
+            .then(lock => {
+                kiosk.wakeLock = lock;
+            })
+            .catch(error => console.warn('Wake lock not available:', error));
+    }
+
+    /**
+     * Parse a time window such as 22:00-06:00 into minutes of the day
+     */
+    function parseTimeWindow(value) {
+        const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        return {
+            start: parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+            end: parseInt(match[3], 10) * 60 + parseInt(match[4], 10)
+        };
+    }
+
+    /**
+     * Dim the screen inside the night window, which may span midnight
+     */
+    function updateNightDimming() {
+        if (!kiosk || !kiosk.night) {
+            return;
+        }
+
+        const now = new Date();
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const { start, end } = kiosk.night;
+        const isNight = start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+
+        document.body.classList.toggle('kiosk-night', isNight);
+    }
+
+    /**
+     * Count taps in the hidden corner and leave kiosk mode on the last one
+     */
+    function registerKioskExitTap() {
+        const now = Date.now();
+        kiosk.taps = kiosk.taps.filter(time => now - time < 3000).concat(now);
+
+        if (kiosk.taps.length >= CONFIG.KIOSK_EXIT_TAPS) {
+            exitKioskMode();
+        }
+    }
+
+    /**
+     * Return to the normal monitor page
+     */
+    function exitKioskMode() {
+        clearInterval(kiosk.rotateTimer);
+        clearInterval(kiosk.dimTimer);
+        document.removeEventListener('visibilitychange', requestWakeLock);
+        if (kiosk.wakeLock) {
+            kiosk.wakeLock.release();
+        }
+        kiosk = null;
+
+        document.body.classList.remove('kiosk', 'kiosk-night');
+
+        const params = new URLSearchParams(window.location.search);
+        ['kiosk', 'rotate', 'interval', 'night'].forEach(name => params.delete(name));
+        replaceQuery(params);
+    }
+
+    /**
+     * Replay recorded API responses when requested in the query string
+     * Example: monitor.html?replay=rush-hour&step=10
+     * Returns true when replay mode is active.
+     */
+    function initReplayMode() {
+        const params = new URLSearchParams(window.location.search);
+        const name = params.get('replay');
+        if (!name) {
+            return false;
+        }
+
+        if (!/^[a-z0-9-]+$/.test(name)) {
+            showError(`Unbekanntes Replay-Szenario "${name}".`);
+            return true;
+        }
+
+        replay = {
+            name: name,
+            fixture: null,
+            startedAt: Date.now(),
+            step: 0,
+            cache: createMemoryStorage()
+        };
+
+        fetch(`${CONFIG.REPLAY_DIR}${name}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(fixture => {
+                const step = parseInt(params.get('step'), 10);
+                replay.fixture = fixture;
+                replay.step = (step > 0 ? step : fixture.stepInterval || 30) * 1000;
+                replay.startedAt = Date.now();
+
+                currentRBLs = fixture.rbls;
+                syncStationSelect();
+                loadDepartures();
+            })
+            .catch(error => {
+                console.error('Error loading replay fixture:', error);
+                showError(`Replay-Szenario "${name}" konnte nicht geladen werden.`);
+            });
+
+        return true;
+    }
+
+    /**
+     * Current replay frame with all timestamps moved to the present
+     */
+    function getReplayFrame() {
+        const frames = replay.fixture.frames;
+        const index = Math.floor((Date.now() - replay.startedAt) / replay.step) % frames.length;
+        const frame = JSON.parse(JSON.stringify(frames[index]));
+
+        const banner = document.getElementById('replay-banner');
+        banner.textContent = `▶ Replay "${replay.name}" – Schritt ${index + 1}/${frames.length}: ${replay.fixture.description || ''}`;
+        banner.style.display = 'block';
+
+        // The monitor response carries its own server time; weather uses the current slot
+        const monitorTime = frame.monitor && frame.monitor.message ? parseApiTime(frame.monitor.message.serverTime) : null;
+        if (monitorTime !== null) {
+            shiftTimestamps(frame.monitor, Date.now() - monitorTime);
+        }
+
+        if (frame.weather && frame.weather.current) {
+            shiftWeatherTimes(frame.weather, Date.now() - frame.weather.current.time * 1000);
+        }
+
+        return frame;
+    }
+
+    /**
+     * Move every OGD timestamp in a recorded monitor response by delta milliseconds
+     */
+    function shiftTimestamps(value, delta) {
+        const pattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?([+-]\d{2}:?\d{2}|Z)$/;
+
+        Object.keys(value).forEach(key => {
+            const item = value[key];
+            if (item && typeof item === 'object') {
+                shiftTimestamps(item, delta);
+            } else if (typeof item === 'string' && pattern.test(item)) {
+                value[key] = formatApiTime(parseApiTime(item) + delta);
+            }
+        });
+    }
+
+    /**
+     * Move the unix times (seconds) of a recorded Open-Meteo response by delta milliseconds
+     */
+    function shiftWeatherTimes(weather, delta) {
+        const shift = time => time + Math.round(delta / 1000);
+
+        weather.current.time = shift(weather.current.time);
+        ['minutely_15', 'hourly'].forEach(key => {
+            if (weather[key] && weather[key].time) {
+                weather[key].time = weather[key].time.map(shift);
+            }
+        });
+    }
+
+    /**
+     * Format milliseconds like the OGD API, in UTC
+     */
+    function formatApiTime(time) {
+        return new Date(time).toISOString().replace('Z', '+0000');
+    }
+
+    /**
+     * Storage with the localStorage interface that is forgotten on reload
+     * Keeps replayed data out of the real departure cache.
+     */
+    function createMemoryStorage() {
+        const items = {};
+        return {
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => {
+                items[key] = String(value);
+            },
+            removeItem: key => {
+                delete items[key];
+            }
+        };
+    }
+
+    /**
+     * Storage for the per-RBL departure cache
+     */
+    function getDepartureCache() {
+        return replay ? replay.cache : localStorage;
     }
 
     /**
@@ -45,268 +434,2144 @@
      */
     function setupEventListeners() {
         const stationSelect = document.getElementById('station-select');
-        const customRBL = document.getElementById('custom-rbl');
-        // Smartmeter UI may be disabled; guard optional elements
+        const stationSearch = document.getElementById('station-search');
+        const stationSearchInput = document.getElementById('station-search-input');
+        const profileSelect = document.getElementById('profile-select');
+        const smartmeterWidget = document.getElementById('smartmeter-widget');
+        const smartmeterPeriods = document.getElementById('smartmeter-periods');
         const configModal = document.getElementById('config-modal');
         const saveConfig = document.getElementById('save-config');
         const cancelConfig = document.getElementById('cancel-config');
         const clearConfig = document.getElementById('clear-config');
 
         // Smart meter configuration
-        // smartmeterWidget.addEventListener('click', function() {
-        //     openConfigModal();
-        // });
+        smartmeterWidget.addEventListener('click', function() {
+            if (SmartMeter.getSession()) {
+                toggleSmartMeterPanel();
+            } else {
+                openConfigModal();
+            }
+        });
+
+        document.getElementById('smartmeter-settings').addEventListener('click', function() {
+            openConfigModal();
+        });
+
+        smartmeterPeriods.addEventListener('click', function(e) {
+            const button = e.target.closest('button[data-period]');
+            if (button && button.dataset.period !== smartMeterPeriod) {
+                smartMeterPeriod = button.dataset.period;
+                persistState();
+                loadSmartMeterData();
+            }
+        });
+
+        saveConfig.addEventListener('click', function() {
+            saveSmartMeterConfig();
+        });
+
+        cancelConfig.addEventListener('click', function() {
+            configModal.classList.remove('active');
+        });
 
-        // saveConfig.addEventListener('click', function() {
-        //     saveSmartMeterConfig();
-        // });
+        clearConfig.addEventListener('click', function() {
+            logoutSmartMeter();
+        });
 
-        if (cancelConfig && configModal) {
-            cancelConfig.addEventListener('click', function() {
+        configModal.addEventListener('click', function(e) {
+            if (e.target === configModal) {
                 configModal.classList.remove('active');
-            });
-        }
+            }
+        });
 
-        // clearConfig.addEventListener('click', function() {
-        //     clearSmartMeterConfig();
-        // });
+        stationSelect.addEventListener('change', function() {
+            if (this.value === 'search') {
+                stationSearch.style.display = 'block';
+                stationSearchInput.focus();
+                loadStationIndex();
+            } else {
+                stationSearch.style.display = 'none';
+                document.getElementById('station-platform-list').style.display = 'none';
+                setStations(this.value.split(',').map(rbl => rbl.trim()));
+            }
+        });
 
-        if (configModal) {
-            configModal.addEventListener('click', function(e) {
-                if (e.target === configModal) {
-                    configModal.classList.remove('active');
+        stationSearchInput.addEventListener('input', function() {
+            searchStations(this.value);
+        });
+
+        stationSearchInput.addEventListener('blur', clearSearchResults);
+
+        stationSearchInput.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                moveActiveMatch(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Escape') {
+                clearSearchResults();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (activeMatch >= 0) {
+                    selectStation(searchMatches[activeMatch]);
+                } else if (/^[\d,\s]+$/.test(this.value) && this.value.trim()) {
+                    // Raw RBL numbers still work for stops missing from the dataset
+                    setStations(this.value.split(',').map(rbl => rbl.trim()).filter(Boolean));
                 }
+            }
+        });
+
+        document.getElementById('apply-platforms').addEventListener('click', function() {
+            const checked = document.querySelectorAll('#station-platforms input[type="checkbox"]:checked');
+            const rbls = Array.from(checked).map(input => input.value);
+
+            if (rbls.length === 0) {
+                alert('Bitte wählen Sie mindestens einen Steig aus.');
+                return;
+            }
+
+            setStations(rbls);
+        });
+
+        profileSelect.addEventListener('change', function() {
+            selectProfile(this.value);
+        });
+
+        document.querySelectorAll('.view-toggle button[data-view]').forEach(button => {
+            button.addEventListener('click', function() {
+                setViewMode(this.dataset.view);
+            });
+        });
+
+        document.querySelectorAll('.view-toggle button[data-layout]').forEach(button => {
+            button.addEventListener('click', function() {
+                setLayout(this.dataset.layout);
             });
+        });
+
+        document.getElementById('add-panel').addEventListener('click', addDashboardPanel);
+
+        watchBoard(document.getElementById('departures-board'));
+
+        document.getElementById('accessible-only').addEventListener('change', function() {
+            setAccessibleOnly(this.checked);
+        });
+
+        document.getElementById('walking-time').addEventListener('change', function() {
+            setWalkingTime(this.value);
+        });
+
+        document.getElementById('hide-unreachable').addEventListener('change', function() {
+            hideUnreachable = this.checked;
+            persistState();
+            if (lastDepartureData) {
+                displayDepartures(lastDepartureData);
+            }
+        });
+
+        document.getElementById('high-contrast').addEventListener('change', function() {
+            highContrast = this.checked;
+            applyContrast();
+            persistState();
+        });
+
+        document.getElementById('alert-minutes').addEventListener('change', function() {
+            const minutes = parseInt(this.value, 10);
+            alertMinutes = minutes > 0 ? minutes : CONFIG.ALERT_MINUTES;
+            this.value = alertMinutes;
+            persistState();
+        });
+
+        document.getElementById('alert-mode').addEventListener('change', function() {
+            alertMode = this.value === 'notification' ? 'notification' : 'chime';
+            if (alertMode === 'notification' && 'Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+            unlockChime();
+            persistState();
+        });
+
+        // Alerts restored after a reload need one tap before the chime may play
+        document.addEventListener('pointerdown', unlockChime, { once: true });
+
+        document.getElementById('save-profile').addEventListener('click', saveCurrentAsProfile);
+        document.getElementById('delete-profile').addEventListener('click', deleteCurrentProfile);
+    }
+
+    /**
+     * Restore the monitor configuration
+     * The query string wins over localStorage, which wins over the defaults.
+     */
+    function restoreState() {
+        const params = new URLSearchParams(window.location.search);
+        const stored = getStoredState();
+        const profiles = getProfiles();
+        let state = null;
+
+        dashboardPanels = getDashboardPanels();
+
+        if (params.has('profile') && profiles[params.get('profile')]) {
+            state = Object.assign({ profile: params.get('profile') }, profiles[params.get('profile')]);
+        } else if (stored) {
+            state = stored;
+        }
+
+        if (params.has('rbl')) {
+            state = Object.assign({}, state, { rbls: parseRBLList(params.get('rbl')) });
+            if (!params.has('profile')) {
+                state.profile = '';
+            }
         }
 
-        stationSelect.addEventListener('change', function() {
-            if (this.value === 'custom') {
-                customRBL.style.display = 'inline-block';
-                customRBL.focus();
-            } else {
-                customRBL.style.display = 'none';
-                currentRBLs = this.value.split(',').map(rbl => rbl.trim());
-                loadDepartures();
-            }
+        if (params.has('max')) {
+            state = Object.assign({}, state, { max: params.get('max') });
+        }
+
+        if (params.has('view')) {
+            state = Object.assign({}, state, { view: params.get('view') });
+        }
+
+        if (params.has('accessible')) {
+            state = Object.assign({}, state, { accessible: params.get('accessible') === '1' });
+        }
+
+        if (params.has('walk')) {
+            state = Object.assign({}, state, { walk: params.get('walk') });
+        }
+
+        if (params.has('layout')) {
+            state = Object.assign({}, state, { layout: params.get('layout') });
+        }
+
+        if (!state) {
+            return;
+        }
+
+        if (state.rbls && state.rbls.length > 0) {
+            currentRBLs = state.rbls;
+        }
+        maxDepartures = parseMaxDepartures(state.max);
+        viewMode = state.view === 'flat' ? 'flat' : 'grouped';
+        layout = state.layout === 'dashboard' ? 'dashboard' : 'single';
+        accessibleOnly = state.accessible === true;
+        walkingTime = parseWalkingTime(state.walk);
+        hideUnreachable = state.hideUnreachable === true;
+        alertMinutes = parseInt(state.alertMinutes, 10) > 0 ? parseInt(state.alertMinutes, 10) : CONFIG.ALERT_MINUTES;
+        alertMode = state.alertMode === 'notification' ? 'notification' : 'chime';
+        highContrast = typeof state.contrast === 'boolean' ? state.contrast : null;
+        smartMeterPeriod = CONFIG.SMARTMETER_LABELS[state.smartMeterPeriod] ? state.smartMeterPeriod : 'week';
+        currentProfile = state.profile && profiles[state.profile] ? state.profile : '';
+
+        persistState();
+    }
+
+    /**
+     * Split a comma separated RBL list
+     */
+    function parseRBLList(value) {
+        return String(value).split(',').map(rbl => rbl.trim()).filter(rbl => /^\d+$/.test(rbl));
+    }
+
+    /**
+     * Validate the number of rows to display
+     */
+    function parseMaxDepartures(value) {
+        const max = parseInt(value, 10);
+        return max > 0 && max <= 50 ? max : CONFIG.MAX_DEPARTURES;
+    }
+
+    /**
+     * Validate the walking time in minutes
+     */
+    function parseWalkingTime(value) {
+        const minutes = parseInt(value, 10);
+        return minutes > 0 && minutes <= 60 ? minutes : 0;
+    }
+
+    /**
+     * Switch to another set of RBLs outside of any profile
+     */
+    function setStations(rbls) {
+        currentRBLs = rbls;
+        currentProfile = '';
+        persistState();
+        renderProfileSelect();
+        loadDepartures();
+    }
+
+    /**
+     * Save the current configuration and mirror it in the query string
+     */
+    function persistState() {
+        const state = {
+            rbls: currentRBLs,
+            max: maxDepartures,
+            view: viewMode,
+            layout: layout,
+            accessible: accessibleOnly,
+            walk: walkingTime,
+            hideUnreachable: hideUnreachable,
+            alertMinutes: alertMinutes,
+            alertMode: alertMode,
+            contrast: highContrast,
+            smartMeterPeriod: smartMeterPeriod,
+            profile: currentProfile
+        };
+
+        // Replayed scenarios must not overwrite the real configuration
+        if (!replay) {
+            try {
+                localStorage.setItem(CONFIG.STATE_KEY, JSON.stringify(state));
+            } catch (e) {
+                console.warn('Could not save monitor state:', e);
+            }
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        params.set('rbl', currentRBLs.join(','));
+        params.set('max', maxDepartures);
+        params.set('view', viewMode);
+        if (layout === 'dashboard') {
+            params.set('layout', 'dashboard');
+        } else {
+            params.delete('layout');
+        }
+        if (accessibleOnly) {
+            params.set('accessible', '1');
+        } else {
+            params.delete('accessible');
+        }
+        if (walkingTime > 0) {
+            params.set('walk', walkingTime);
+        } else {
+            params.delete('walk');
+        }
+        if (currentProfile) {
+            params.set('profile', currentProfile);
+        } else {
+            params.delete('profile');
+        }
+
+        replaceQuery(params);
+    }
+
+    /**
+     * Replace the query string without reloading the page
+     */
+    function replaceQuery(params) {
+        // Keep commas and times readable in the address bar
+        const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+        window.history.replaceState(null, '', `${window.location.pathname}?${query}${window.location.hash}`);
+    }
+
+    /**
+     * Get the last used configuration from localStorage
+     */
+    function getStoredState() {
+        const stored = localStorage.getItem(CONFIG.STATE_KEY);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (e) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get all named station profiles
+     */
+    function getProfiles() {
+        const stored = localStorage.getItem(CONFIG.PROFILES_KEY);
+        if (stored) {
+            try {
+                return JSON.parse(stored) || {};
+            } catch (e) {
+                return {};
+            }
+        }
+        return {};
+    }
+
+    /**
+     * Store all named station profiles
+     */
+    function saveProfiles(profiles) {
+        localStorage.setItem(CONFIG.PROFILES_KEY, JSON.stringify(profiles));
+    }
+
+    /**
+     * Fill the profile dropdown
+     */
+    function renderProfileSelect() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Kein Profil';
+        select.appendChild(none);
+
+        Object.keys(getProfiles()).sort((a, b) => a.localeCompare(b, 'de')).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+
+        select.value = currentProfile;
+        document.getElementById('delete-profile').disabled = !currentProfile;
+    }
+
+    /**
+     * Apply a saved station profile and load its departures
+     */
+    function selectProfile(name) {
+        applyProfile(name);
+        loadDepartures();
+    }
+
+    /**
+     * Apply a saved station profile
+     */
+    function applyProfile(name) {
+        const profile = getProfiles()[name];
+        currentProfile = profile ? name : '';
+
+        if (profile) {
+            currentRBLs = profile.rbls;
+            maxDepartures = parseMaxDepartures(profile.max);
+            walkingTime = parseWalkingTime(profile.walk);
+            document.getElementById('walking-time').value = walkingTime;
+        }
+
+        persistState();
+        renderProfileSelect();
+        syncStationSelect();
+    }
+
+    /**
+     * Save the current stations under a name
+     */
+    function saveCurrentAsProfile() {
+        const name = (prompt('Name des Profils (z.B. Home, Office):', currentProfile) || '').trim();
+        if (!name) {
+            return;
+        }
+
+        const profiles = getProfiles();
+        profiles[name] = {
+            rbls: currentRBLs,
+            max: maxDepartures,
+            walk: walkingTime
+        };
+        saveProfiles(profiles);
+
+        currentProfile = name;
+        persistState();
+        renderProfileSelect();
+    }
+
+    /**
+     * Delete the active station profile
+     */
+    function deleteCurrentProfile() {
+        if (!currentProfile || !confirm(`Profil "${currentProfile}" wirklich löschen?`)) {
+            return;
+        }
+
+        const profiles = getProfiles();
+        delete profiles[currentProfile];
+        saveProfiles(profiles);
+
+        currentProfile = '';
+        persistState();
+        renderProfileSelect();
+    }
+
+    /**
+     * Switch between grouped and flat departure list
+     */
+    function setViewMode(mode) {
+        viewMode = mode === 'flat' ? 'flat' : 'grouped';
+        persistState();
+        renderViewToggle();
+        if (lastDepartureData) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Toggle the barrier-free only filter
+     */
+    function setAccessibleOnly(enabled) {
+        accessibleOnly = enabled;
+        persistState();
+        if (lastDepartureData) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Change the walking time; an active profile remembers it
+     */
+    function setWalkingTime(value) {
+        walkingTime = parseWalkingTime(value);
+        document.getElementById('walking-time').value = walkingTime;
+
+        if (currentProfile) {
+            const profiles = getProfiles();
+            if (profiles[currentProfile]) {
+                profiles[currentProfile].walk = walkingTime;
+                saveProfiles(profiles);
+            }
+        }
+
+        persistState();
+        if (lastDepartureData) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Highlight the active view button
+     */
+    function renderViewToggle() {
+        document.querySelectorAll('.view-toggle button[data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === viewMode);
+        });
+        document.querySelectorAll('.view-toggle button[data-layout]').forEach(button => {
+            button.classList.toggle('active', button.dataset.layout === layout);
+        });
+        document.body.classList.toggle('layout-dashboard', layout === 'dashboard');
+    }
+
+    /**
+     * Switch between the single table and the dashboard
+     */
+    function setLayout(mode) {
+        layout = mode === 'dashboard' ? 'dashboard' : 'single';
+        persistState();
+        renderViewToggle();
+        renderDashboardPanels();
+        loadDepartures();
+    }
+
+    /**
+     * Get the stored dashboard panels
+     */
+    function getDashboardPanels() {
+        try {
+            const panels = JSON.parse(localStorage.getItem(CONFIG.DASHBOARD_KEY));
+            return Array.isArray(panels)
+                ? panels.filter(panel => panel && Array.isArray(panel.rbls) && panel.rbls.length > 0)
+                : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Store the dashboard panels and redraw them
+     */
+    function saveDashboardPanels() {
+        localStorage.setItem(CONFIG.DASHBOARD_KEY, JSON.stringify(dashboardPanels));
+        renderDashboardPanels();
+    }
+
+    /**
+     * Add the selected station as a dashboard panel
+     */
+    function addDashboardPanel() {
+        const title = prompt('Titel des Panels:', getStationTitle(currentRBLs));
+        if (title === null) {
+            return;
+        }
+
+        dashboardPanels.push({
+            title: title.trim() || getStationTitle(currentRBLs),
+            rbls: currentRBLs.slice(),
+            max: maxDepartures
+        });
+        saveDashboardPanels();
+
+        if (layout === 'dashboard') {
+            loadDepartures();
+        } else {
+            setLayout('dashboard');
+        }
+    }
+
+    /**
+     * Change the title, RBLs or row limit of a panel
+     */
+    function updateDashboardPanel(index, changes) {
+        const panel = Object.assign({}, dashboardPanels[index], changes);
+        if (panel.rbls.length === 0) {
+            renderDashboardPanels();
+            return;
+        }
+
+        const reload = panel.rbls.join(',') !== dashboardPanels[index].rbls.join(',');
+        dashboardPanels[index] = panel;
+        saveDashboardPanels();
+
+        if (reload) {
+            loadDepartures();
+        } else if (lastDepartureData) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Remove a panel from the dashboard
+     */
+    function removeDashboardPanel(index) {
+        if (!confirm(`Panel "${dashboardPanels[index].title}" entfernen?`)) {
+            return;
+        }
+
+        dashboardPanels.splice(index, 1);
+        saveDashboardPanels();
+        loadDepartures();
+    }
+
+    /**
+     * Build one empty panel per dashboard entry
+     */
+    function renderDashboardPanels() {
+        const container = document.getElementById('dashboard');
+        container.innerHTML = '';
+
+        if (dashboardPanels.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'dashboard-empty';
+            hint.textContent = 'Noch keine Panels. Station wählen und „＋ Panel“ drücken.';
+            container.appendChild(hint);
+            return;
+        }
+
+        dashboardPanels.forEach((panel, index) => {
+            container.appendChild(createDashboardPanel(panel, index));
+        });
+    }
+
+    /**
+     * Create a panel with title, settings, line filters and departure table
+     */
+    function createDashboardPanel(panel, index) {
+        const element = document.createElement('section');
+        element.className = 'dashboard-panel';
+
+        const header = document.createElement('div');
+        header.className = 'dashboard-panel-header';
+        const title = document.createElement('h3');
+        title.textContent = panel.title;
+        header.appendChild(title);
+
+        const settings = document.createElement('details');
+        settings.className = 'dashboard-panel-settings';
+        const summary = document.createElement('summary');
+        summary.textContent = '⚙️';
+        summary.title = 'Panel bearbeiten';
+        settings.appendChild(summary);
+
+        settings.appendChild(createPanelField('Titel', 'text', panel.title, value => {
+            updateDashboardPanel(index, { title: value.trim() || panel.title });
+        }));
+        settings.appendChild(createPanelField('RBL', 'text', panel.rbls.join(','), value => {
+            updateDashboardPanel(index, { rbls: parseRBLList(value) });
+        }));
+        settings.appendChild(createPanelField('Zeilen', 'number', parseMaxDepartures(panel.max), value => {
+            updateDashboardPanel(index, { max: parseMaxDepartures(value) });
+        }));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn-profile';
+        remove.textContent = 'Entfernen';
+        remove.addEventListener('click', function() {
+            removeDashboardPanel(index);
+        });
+        settings.appendChild(remove);
+        header.appendChild(settings);
+        element.appendChild(header);
+
+        const filters = document.createElement('div');
+        filters.className = 'line-filters';
+        element.appendChild(filters);
+
+        const board = document.createElement('wl-departures');
+        setBoardAttributes(board, { manual: '', compact: '', lang: 'de', contrast: document.body.classList.contains('high-contrast') ? 'high' : null });
+        watchBoard(board);
+        element.appendChild(board);
+
+        return element;
+    }
+
+    /**
+     * Labelled input of the panel settings, applied on change
+     */
+    function createPanelField(label, type, value, onChange) {
+        const field = document.createElement('label');
+        field.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        if (type === 'number') {
+            input.min = 1;
+        }
+        input.addEventListener('change', function() {
+            onChange(this.value);
+        });
+        field.appendChild(input);
+
+        return field;
+    }
+
+    /**
+     * Fill every dashboard panel with the departures of its RBLs
+     */
+    function renderDashboard(data) {
+        const panels = document.querySelectorAll('#dashboard .dashboard-panel');
+        const monitors = data.data && data.data.monitors ? data.data.monitors : [];
+
+        dashboardPanels.forEach((panel, index) => {
+            const element = panels[index];
+            if (!element) {
+                return;
+            }
+
+            const panelData = {
+                data: {
+                    monitors: monitors.filter(monitor => panel.rbls.includes(getMonitorRBL(monitor)))
+                }
+            };
+
+            showOnBoard(element.querySelector('wl-departures'), panelData, {
+                filters: element.querySelector('.line-filters'),
+                max: parseMaxDepartures(panel.max),
+                stationKey: panel.rbls.slice().sort().join(',')
+            });
+        });
+    }
+
+    /**
+     * RBLs to load: the current station, or all panels of the dashboard
+     */
+    function getActiveRBLs() {
+        if (layout !== 'dashboard') {
+            return currentRBLs.slice();
+        }
+
+        const rbls = [];
+        dashboardPanels.forEach(panel => {
+            panel.rbls.forEach(rbl => {
+                if (!rbls.includes(rbl)) {
+                    rbls.push(rbl);
+                }
+            });
+        });
+        return rbls;
+    }
+
+    /**
+     * Boards the departures are currently shown in
+     */
+    function getDepartureBoards() {
+        return layout === 'dashboard'
+            ? Array.from(document.querySelectorAll('#dashboard wl-departures'))
+            : [document.getElementById('departures-board')];
+    }
+
+    /**
+     * Key under which line filters are remembered for the current station
+     */
+    function getStationKey() {
+        return currentRBLs.slice().sort().join(',');
+    }
+
+    /**
+     * Get a list remembered per station, such as excluded lines
+     */
+    function getStationList(storageKey, stationKey) {
+        const stored = localStorage.getItem(storageKey);
+        if (stored) {
+            try {
+                const lists = JSON.parse(stored) || {};
+                return lists[stationKey || getStationKey()] || [];
+            } catch (e) {
+                return [];
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Add or remove an item of a list remembered per station
+     */
+    function toggleStationListItem(storageKey, item, stationKey) {
+        let lists = {};
+        try {
+            lists = JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (e) {
+            lists = {};
+        }
+
+        const key = stationKey || getStationKey();
+        const items = lists[key] || [];
+        lists[key] = items.includes(item)
+            ? items.filter(existing => existing !== item)
+            : items.concat(item);
+
+        if (lists[key].length === 0) {
+            delete lists[key];
+        }
+
+        localStorage.setItem(storageKey, JSON.stringify(lists));
+    }
+
+    /**
+     * Include or exclude a line for a station
+     */
+    function toggleLineFilter(lineName, stationKey) {
+        toggleStationListItem(CONFIG.LINE_FILTERS_KEY, lineName, stationKey);
+
+        if (lastDepartureData) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Switch the departure alert for a line and direction on or off
+     * Asks for notification permission the first time, the chime needs none.
+     */
+    function toggleDepartureAlert(entry) {
+        const key = `${entry.line}|${entry.towards}`;
+        const enabling = !getStationList(CONFIG.ALERTS_KEY, entry.stationKey).includes(key);
+        toggleStationListItem(CONFIG.ALERTS_KEY, key, entry.stationKey);
+
+        if (enabling && alertMode === 'notification' && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        if (enabling) {
+            unlockChime();
+        }
+
+        if (lastDepartureData) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Fire alerts for chosen lines N minutes before departure, once per departure
+     */
+    function checkDepartureAlerts(departures, stationKey) {
+        const alerts = getStationList(CONFIG.ALERTS_KEY, stationKey);
+        if (alerts.length === 0) {
+            return;
+        }
+
+        departures.forEach(dep => {
+            const key = `${dep.line}|${dep.towards}`;
+            const id = `${key}|${dep.departureTime.timePlanned}`;
+            if (!alerts.includes(key) || firedAlerts[id] || dep.countdown > alertMinutes || !dep.reachable) {
+                return;
+            }
+
+            firedAlerts[id] = Date.now();
+            const message = `${dep.line} Richtung ${dep.towards} fährt in ${dep.countdown} min`;
+
+            if (alertMode === 'notification' && 'Notification' in window && Notification.permission === 'granted') {
+                new Notification('🚶 Zeit zum Losgehen', { body: message, tag: id });
+            } else {
+                playChime();
+            }
+        });
+
+        // Forget alerts of departures that have long left
+        Object.keys(firedAlerts).forEach(id => {
+            if (Date.now() - firedAlerts[id] > 60 * 60 * 1000) {
+                delete firedAlerts[id];
+            }
+        });
+    }
+
+    /**
+     * Create or resume the AudioContext of the chime
+     * Must run in a user gesture: autoplay rules keep a context created or
+     * resumed from a timer suspended, and the chime would stay silent.
+     */
+    function unlockChime() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            return;
+        }
+
+        if (!chimeContext) {
+            chimeContext = new AudioContext();
+        }
+        if (chimeContext.state === 'suspended') {
+            chimeContext.resume().catch(error => console.warn('Could not enable the chime:', error));
+        }
+    }
+
+    /**
+     * Play a short two-tone chime
+     * Stays silent until a user gesture has unlocked the audio (see unlockChime).
+     */
+    function playChime() {
+        const context = chimeContext;
+        if (!context || context.state !== 'running') {
+            console.warn('Chime not played: tap the page once to enable sound');
+            return;
+        }
+
+        [880, 660].forEach((frequency, i) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const start = context.currentTime + i * 0.25;
+
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.3, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.4);
+        });
+    }
+
+    /**
+     * Render one toggle chip per line at a station
+     */
+    function renderLineFilters(container, departures, excluded, stationKey) {
+        container.innerHTML = '';
+
+        const lines = [];
+        departures.forEach(dep => {
+            if (!lines.some(line => line.name === dep.line)) {
+                lines.push({ name: dep.line, type: dep.lineType });
+            }
+        });
+        lines.sort((a, b) => a.name.localeCompare(b.name, 'de', { numeric: true }));
+
+        lines.forEach(line => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `line-badge line-filter ${getLineClass(line.type, line.name)}`;
+            chip.classList.toggle('excluded', excluded.includes(line.name));
+            chip.textContent = line.name;
+            chip.title = excluded.includes(line.name) ? 'Linie einblenden' : 'Linie ausblenden';
+            chip.addEventListener('click', function() {
+                toggleLineFilter(line.name, stationKey);
+            });
+            container.appendChild(chip);
+        });
+    }
+
+    /**
+     * Show the current RBLs in the station selector
+     */
+    function syncStationSelect() {
+        const stationSelect = document.getElementById('station-select');
+        const value = currentRBLs.join(',');
+        const preset = Array.from(stationSelect.options).some(option => option.value === value);
+
+        stationSelect.value = preset ? value : 'search';
+        document.getElementById('station-search').style.display = preset ? 'none' : 'block';
+        document.getElementById('station-platform-list').style.display = 'none';
+        if (!preset) {
+            document.getElementById('station-search-input').value = value;
+        }
+    }
+
+    /**
+     * Load and index the OGD stop/platform dataset (once)
+     */
+    function loadStationIndex() {
+        if (stationIndex) {
+            return stationIndex;
+        }
+
+        const files = CONFIG.STATION_DATA;
+        const fetchCsv = url => fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.text();
+        }).then(parseCsv);
+
+        stationIndex = Promise.all([fetchCsv(files.haltestellen), fetchCsv(files.steige), fetchCsv(files.linien)])
+            .then(([haltestellen, steige, linien]) => buildStationIndex(haltestellen, steige, linien))
+            .catch(error => {
+                console.error('Error loading station data:', error);
+                stationIndex = null;
+                showSearchMessage('Stationsdaten nicht verfügbar');
+                return [];
+            });
+
+        return stationIndex;
+    }
+
+    /**
+     * Parse a semicolon separated OGD CSV file into objects keyed by header
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ';') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                if (row.length > 1 || row[0] !== '') {
+                    rows.push(row);
+                }
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const header = (rows.shift() || []).map(name => name.replace(/^\uFEFF/, ''));
+        return rows.map(values => {
+            const record = {};
+            header.forEach((name, i) => {
+                record[name] = values[i] !== undefined ? values[i] : '';
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Join haltestellen, steige and linien into stations with their platforms
+     * Each platform (RBL) lists the lines it serves and their destination.
+     */
+    function buildStationIndex(haltestellen, steige, linien) {
+        const stops = {};
+        haltestellen.forEach(stop => {
+            stops[stop.HALTESTELLEN_ID] = {
+                id: stop.HALTESTELLEN_ID,
+                name: stop.NAME,
+                municipality: stop.GEMEINDE,
+                searchName: normalizeSearchText(stop.NAME),
+                platforms: {}
+            };
+        });
+
+        const lines = {};
+        linien.forEach(line => {
+            lines[line.LINIEN_ID] = {
+                name: line.BEZEICHNUNG,
+                type: line.VERKEHRSMITTEL,
+                order: parseInt(line.REIHENFOLGE, 10) || 0
+            };
+        });
+
+        // The last stop of each line and direction is its destination
+        const terminals = {};
+        steige.forEach(platform => {
+            const key = `${platform.FK_LINIEN_ID}-${platform.RICHTUNG}`;
+            const order = parseInt(platform.REIHENFOLGE, 10) || 0;
+            if (!terminals[key] || order > terminals[key].order) {
+                terminals[key] = { order: order, stopId: platform.FK_HALTESTELLEN_ID };
+            }
+        });
+
+        steige.forEach(platform => {
+            const stop = stops[platform.FK_HALTESTELLEN_ID];
+            const line = lines[platform.FK_LINIEN_ID];
+            const rbl = platform.RBL_NUMMER.trim();
+            if (!stop || !line || !rbl) {
+                return;
+            }
+
+            const terminal = terminals[`${platform.FK_LINIEN_ID}-${platform.RICHTUNG}`];
+            const towards = terminal && stops[terminal.stopId] ? stops[terminal.stopId].name : '';
+
+            if (!stop.platforms[rbl]) {
+                stop.platforms[rbl] = { rbl: rbl, name: platform.STEIG, lines: [] };
+            }
+            stop.platforms[rbl].lines.push({
+                name: line.name,
+                type: line.type,
+                order: line.order,
+                towards: towards
+            });
+        });
+
+        return Object.values(stops)
+            .map(stop => {
+                stop.platforms = Object.values(stop.platforms);
+                stop.platforms.forEach(platform => platform.lines.sort((a, b) => a.order - b.order));
+                return stop;
+            })
+            .filter(stop => stop.platforms.length > 0)
+            .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+    }
+
+    /**
+     * Lowercase and strip accents so "strasse" finds "Straße"
+     */
+    function normalizeSearchText(text) {
+        return text
+            .toLowerCase()
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Find stations by name, word prefix matches first
+     */
+    function searchStations(query) {
+        const term = normalizeSearchText(query.trim());
+        if (term.length < 2) {
+            clearSearchResults();
+            return;
+        }
+
+        loadStationIndex().then(stations => {
+            const prefix = [];
+            const contains = [];
+
+            stations.forEach(station => {
+                const position = station.searchName.indexOf(term);
+                if (position === -1) {
+                    return;
+                }
+                if (position === 0 || /[\s\-/(]/.test(station.searchName[position - 1])) {
+                    prefix.push(station);
+                } else {
+                    contains.push(station);
+                }
+            });
+
+            searchMatches = prefix.concat(contains).slice(0, CONFIG.MAX_SEARCH_RESULTS);
+            activeMatch = -1;
+            renderSearchResults();
+        });
+    }
+
+    /**
+     * Render the autocomplete list
+     */
+    function renderSearchResults() {
+        const list = document.getElementById('station-results');
+        list.innerHTML = '';
+
+        if (searchMatches.length === 0) {
+            showSearchMessage(CONFIG.STATION_DATA_SAMPLE
+                ? 'Keine Station gefunden (nur Beispieldaten geladen – RBL-Nummern eingeben)'
+                : 'Keine Station gefunden');
+            return;
+        }
+
+        searchMatches.forEach((station, index) => {
+            const item = document.createElement('li');
+            item.className = index === activeMatch ? 'active' : '';
+
+            const name = document.createElement('strong');
+            name.textContent = station.name;
+            item.appendChild(name);
+
+            const lines = document.createElement('span');
+            lines.className = 'station-result-lines';
+            lines.textContent = getStationLineNames(station).join(', ');
+            item.appendChild(lines);
+
+            // mousedown fires before the input loses focus
+            item.addEventListener('mousedown', function(e) {
+                e.preventDefault();
+                selectStation(station);
+            });
+            list.appendChild(item);
+        });
+        list.style.display = 'block';
+    }
+
+    /**
+     * Show a hint in place of the autocomplete list
+     */
+    function showSearchMessage(message) {
+        const list = document.getElementById('station-results');
+        list.innerHTML = '';
+        const item = document.createElement('li');
+        item.className = 'station-result-empty';
+        item.textContent = message;
+        list.appendChild(item);
+        list.style.display = 'block';
+    }
+
+    /**
+     * Hide the autocomplete list
+     */
+    function clearSearchResults() {
+        const list = document.getElementById('station-results');
+        list.innerHTML = '';
+        list.style.display = 'none';
+        searchMatches = [];
+        activeMatch = -1;
+    }
+
+    /**
+     * Move the keyboard selection in the autocomplete list
+     */
+    function moveActiveMatch(step) {
+        if (searchMatches.length === 0) {
+            return;
+        }
+        activeMatch = (activeMatch + step + searchMatches.length) % searchMatches.length;
+        renderSearchResults();
+    }
+
+    /**
+     * Distinct line names served at a station
+     */
+    function getStationLineNames(station) {
+        const names = [];
+        station.platforms.forEach(platform => {
+            platform.lines.forEach(line => {
+                if (!names.includes(line.name)) {
+                    names.push(line.name);
+                }
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Show the platforms of a station and load all of them
+     */
+    function selectStation(station) {
+        document.getElementById('station-search-input').value = station.name;
+        clearSearchResults();
+
+        const container = document.getElementById('station-platforms');
+        container.innerHTML = '';
+
+        station.platforms.forEach(platform => {
+            const label = document.createElement('label');
+            label.className = 'station-platform';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = platform.rbl;
+            checkbox.checked = true;
+            label.appendChild(checkbox);
+
+            platform.lines.forEach(line => {
+                const badge = document.createElement('span');
+                badge.className = `line-badge ${getLineClass(line.type, line.name)}`;
+                badge.textContent = line.name;
+                label.appendChild(badge);
+
+                const towards = document.createElement('span');
+                towards.className = 'station-platform-towards';
+                towards.textContent = line.towards ? `→ ${line.towards}` : '';
+                label.appendChild(towards);
+            });
+
+            container.appendChild(label);
+        });
+
+        document.getElementById('station-platform-list').style.display = 'block';
+
+        setStations(station.platforms.map(platform => platform.rbl));
+    }
+
+    /**
+     * Load departures from API
+     * Falls back to the last good response per RBL when a request fails.
+     * A stop the API left out is not a failure: it has no departures right now.
+     */
+    function loadDepartures() {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+
+        const sequence = ++loadSequence;
+        const rbls = getActiveRBLs();
+        const stationKey = `${layout}:${rbls.slice().sort().join(',')}`;
+
+        // An empty dashboard has nothing to load
+        if (rbls.length === 0) {
+            lastDepartureData = null;
+            lastDepartureKey = null;
+            displayTrafficInfo({ data: {} });
+            displayElevatorInfo({ data: {} });
+            renderLineLegend([]);
+            hideStaleBanner();
+            clearError();
+            return;
+        }
+
+        // Keep the current table during refreshes of the same station
+        if (lastDepartureKey !== stationKey) {
+            showLoading();
+            clearError();
+        }
+
+        // Batched requests of up to MAX_BATCH_RBLS RBL numbers, split up again per RBL.
+        // Replay asks stop by stop, so a frame can fail single stops.
+        const batchSize = replay ? 1 : CONFIG.MAX_BATCH_RBLS;
+        const batches = [];
+        for (let i = 0; i < rbls.length; i += batchSize) {
+            batches.push(rbls.slice(i, i + batchSize));
+        }
+
+        Promise.all(batches.map(fetchBatch))
+            .then(batchResults => [].concat(...batchResults))
+            .then(results => {
+                if (sequence !== loadSequence) {
+                    return;
+                }
+
+                const failedRBLs = results.filter(result => result.failed).map(result => result.rbl);
+                scheduleRefresh(failedRBLs.length > 0);
+
+                // Filter out requests that failed without cached data
+                const validResults = results.filter(result => result.data !== null);
+                
+                if (validResults.length === 0) {
+                    throw new Error('All API requests failed');
+                }
+
+                console.log('API Responses:', validResults);
+
+                const responses = validResults.map(result => result.data);
+                const cachedTimes = validResults
+                    .filter(result => result.savedAt !== null)
+                    .map(result => result.savedAt);
+                
+                // Merge all departures from all RBLs
+                const mergedData = mergeAPIResponses(responses);
+                
+                // Traffic infos first so the table can link affected lines
+                displayTrafficInfo(mergedData);
+                displayElevatorInfo(mergedData);
+                displayDepartures(mergedData);
+                lastDepartureKey = stationKey;
+                updateWeatherLocation(getStationLocation(mergedData));
+                recordHistory(validResults);
+
+                if (cachedTimes.length > 0) {
+                    showStaleBanner(Math.min(...cachedTimes));
+                } else {
+                    hideStaleBanner();
+                    updateLastUpdateTime();
+                }
+
+                if (failedRBLs.length === rbls.length) {
+                    showError(`Abfahrten konnten nicht geladen werden. ${describeNextRetry()}`);
+                } else if (failedRBLs.length > 0) {
+                    showError(`Keine aktuellen Daten für ${failedRBLs.map(getStopLabel).join(', ')}. ${describeNextRetry()}`);
+                } else {
+                    clearError();
+                }
+            })
+            .catch(error => {
+                if (sequence !== loadSequence) {
+                    return;
+                }
+
+                console.error('Error fetching departures:', error);
+                if (!refreshTimer && nextRefreshAt <= Date.now()) {
+                    scheduleRefresh(true);
+                }
+                hideStaleBanner();
+                if (!weatherLocation) {
+                    updateWeatherLocation(null);
+                }
+                showError(`Fehler beim Laden der Abfahrtsdaten. ${describeNextRetry()}`);
+                showNoData();
+                lastDepartureData = null;
+                lastDepartureKey = null;
+            });
+    }
+
+    /**
+     * Fetch one batch of RBLs
+     * The request fails as a whole, so every RBL of the batch falls back to
+     * its cached response.
+     */
+    function fetchBatch(rbls) {
+        return fetchMonitor(rbls)
+            .then(data => {
+                updateClockOffset(data);
+                const responses = splitMonitorResponse(data, rbls);
+                return rbls.map(rbl => {
+                    // Keep the stop name cached; past departures drop out of it anyway
+                    if (responses[rbl].data.monitors.length > 0) {
+                        saveCachedDepartures(rbl, responses[rbl]);
+                    }
+                    return { rbl: rbl, failed: false, data: responses[rbl], savedAt: null };
+                });
+            })
+            .catch(error => {
+                console.error(`Error fetching departures for RBL ${rbls.join(', ')}:`, error);
+                return rbls.map(rbl => {
+                    return Object.assign({ rbl: rbl, failed: true, data: null, savedAt: null }, getCachedDepartures(rbl));
+                });
+            });
+    }
+
+    /**
+     * Schedule the next refresh, backing off exponentially after failures
+     */
+    function scheduleRefresh(failed) {
+        failureCount = failed ? failureCount + 1 : 0;
+
+        const interval = replay ? replay.step : CONFIG.REFRESH_INTERVAL;
+        let delay = failed ? getBackoffDelay(failureCount) : interval;
+        if (failed && replay) {
+            // Replay frames advance per step, so a failed frame must not hold the scenario up
+            delay = Math.min(delay, replay.step);
+        }
+        nextRefreshAt = Date.now() + delay;
+
+        clearTimeout(refreshTimer);
+        refreshTimer = document.hidden ? null : setTimeout(loadDepartures, delay);
+    }
+
+    /**
+     * Exponential backoff with jitter, so many kiosks do not retry in lockstep
+     * The delay lies between half and all of the doubled base, e.g. 30–60 s, 60–120 s.
+     */
+    function getBackoffDelay(failures) {
+        const delay = Math.min(CONFIG.BACKOFF_BASE * Math.pow(2, failures - 1), CONFIG.BACKOFF_MAX);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Pause refreshing while hidden and catch up when visible again
+     */
+    function handleVisibilityChange() {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+
+        if (document.hidden) {
+            return;
+        }
+
+        const remaining = nextRefreshAt - Date.now();
+        if (remaining <= 0) {
+            loadDepartures();
+        } else {
+            refreshTimer = setTimeout(loadDepartures, remaining);
+        }
+    }
+
+    /**
+     * Tell when the next refresh will happen
+     */
+    function describeNextRetry() {
+        const seconds = Math.max(Math.round((nextRefreshAt - Date.now()) / 1000), 0);
+        const time = new Date(nextRefreshAt).toLocaleTimeString('de-AT');
+        return `Nächster Versuch um ${time} (in ${seconds} s).`;
+    }
+
+    /**
+     * Human readable name of a stop, from cached data when available
+     */
+    function getStopLabel(rbl) {
+        const title = getStopTitle(rbl);
+        return title ? `${title} (RBL ${rbl})` : `RBL ${rbl}`;
+    }
+
+    /**
+     * Stop name of an RBL from cached data, or null
+     */
+    function getStopTitle(rbl) {
+        try {
+            const entry = JSON.parse(getDepartureCache().getItem(CONFIG.CACHE_KEY_PREFIX + rbl));
+            return entry.data.data.monitors[0].locationStop.properties.title;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Name for a set of RBLs: the preset or searched station, else the stop names
+     */
+    function getStationTitle(rbls) {
+        const value = rbls.join(',');
+        const preset = Array.from(document.getElementById('station-select').options)
+            .find(option => option.value === value);
+        const searched = document.getElementById('station-search-input').value.trim();
+
+        if (preset) {
+            return preset.textContent;
+        }
+        if (value === currentRBLs.join(',') && searched && !/^[\d,\s]+$/.test(searched)) {
+            return searched;
+        }
+
+        const titles = [];
+        rbls.forEach(rbl => {
+            const title = getStopTitle(rbl) || `RBL ${rbl}`;
+            if (!titles.includes(title)) {
+                titles.push(title);
+            }
+        });
+        return titles.join(' / ');
+    }
+
+    /**
+     * Fetch the monitor API for several RBLs in one request
+     */
+    function fetchMonitor(rbls) {
+        if (replay) {
+            const frame = getReplayFrame();
+            if (!frame.monitor || frame.monitor.status) {
+                return Promise.reject(new Error(`HTTP error! status: ${frame.monitor ? frame.monitor.status : 404}`));
+            }
+            // "errors" maps RBLs to the status their request failed with
+            const errors = frame.monitor.errors || {};
+            const failed = rbls.find(rbl => errors[rbl]);
+            if (failed) {
+                return Promise.reject(new Error(`HTTP error! status: ${errors[failed]}`));
+            }
+            return Promise.resolve(frame.monitor);
+        }
+
+        let url;
+        if (CONFIG.API_MODE === 'direct') {
+            const params = rbls.map(rbl => `rbl=${encodeURIComponent(rbl)}`)
+                .concat(CONFIG.TRAFFIC_INFO_TYPES.map(type => `activateTrafficInfo=${type}`));
+            url = `${CONFIG.API_BASE_URL}?${params.join('&')}`;
+        } else {
+            url = `${CONFIG.WL_PROXY}?rbl=${rbls.map(encodeURIComponent).join(',')}&activateTrafficInfo=${CONFIG.TRAFFIC_INFO_TYPES.join(',')}`;
+        }
+
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            });
+    }
+
+    /**
+     * Split a batched monitor response into one response per RBL
+     * Traffic infos are kept for every RBL and deduplicated on display.
+     * The API leaves out stops without departures (e.g. at night); their
+     * response has no monitors and is shown as "no departures".
+     */
+    function splitMonitorResponse(data, rbls) {
+        const monitors = data.data && data.data.monitors ? data.data.monitors : [];
+        const responses = {};
+
+        rbls.forEach(rbl => {
+            responses[rbl] = {
+                data: {
+                    monitors: monitors.filter(monitor => getMonitorRBL(monitor) === rbl),
+                    trafficInfos: data.data && data.data.trafficInfos ? data.data.trafficInfos : [],
+                    trafficInfoCategories: data.data && data.data.trafficInfoCategories ? data.data.trafficInfoCategories : []
+                },
+                message: data.message
+            };
+        });
+
+        return responses;
+    }
+
+    /**
+     * RBL number a monitor belongs to
+     */
+    function getMonitorRBL(monitor) {
+        const stop = monitor.locationStop;
+        const rbl = stop && stop.properties && stop.properties.attributes ? stop.properties.attributes.rbl : null;
+        return rbl === null || rbl === undefined ? null : String(rbl);
+    }
+
+    /**
+     * Pass live departures to the punctuality history
+     * Cached and replayed data would distort the statistics.
+     */
+    function recordHistory(results) {
+        if (replay || !window.DepartureHistory) {
+            return;
+        }
+
+        const observed = [];
+        results
+            .filter(result => !result.failed && result.savedAt === null)
+            .forEach(result => {
+                const monitor = result.data.data.monitors[0];
+                const stop = monitor ? monitor.locationStop.properties.title : '';
+                extractDepartures(result.data).forEach(dep => {
+                    observed.push({
+                        rbl: result.rbl,
+                        stop: stop,
+                        line: dep.line,
+                        towards: dep.towards,
+                        planned: dep.planned,
+                        real: dep.real
+                    });
+                });
+            });
+
+        window.DepartureHistory.record(observed);
+    }
+
+    /**
+     * Store the last good API response for an RBL
+     */
+    function saveCachedDepartures(rbl, data) {
+        try {
+            getDepartureCache().setItem(CONFIG.CACHE_KEY_PREFIX + rbl, JSON.stringify({
+                savedAt: Date.now(),
+                data: data
+            }));
+        } catch (e) {
+            console.warn(`Could not cache departures for RBL ${rbl}:`, e);
+        }
+    }
+
+    /**
+     * Get the cached response for an RBL with countdowns recomputed for now
+     * Returns null when nothing usable is cached.
+     */
+    function getCachedDepartures(rbl) {
+        const stored = getDepartureCache().getItem(CONFIG.CACHE_KEY_PREFIX + rbl);
+        if (!stored) {
+            return null;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(stored);
+        } catch (e) {
+            return null;
+        }
+
+        if (!entry || !entry.data || Date.now() - entry.savedAt > CONFIG.CACHE_MAX_AGE) {
+            return null;
+        }
+
+        return {
+            data: recomputeCountdowns(entry.data, Date.now() + clockOffset),
+            savedAt: entry.savedAt
+        };
+    }
+
+    /**
+     * Track the difference between the API server clock and the local clock
+     */
+    function updateClockOffset(data) {
+        const serverTime = data.message ? parseApiTime(data.message.serverTime) : null;
+        if (serverTime !== null) {
+            clockOffset = serverTime - Date.now();
+        }
+    }
+
+    /**
+     * Count the displayed departures down without reloading
+     * The table is only redrawn when a minute value changes.
+     */
+    function tickCountdowns() {
+        if (!lastDepartureData) {
+            return;
+        }
+
+        const before = getCountdownSignature(lastDepartureData);
+        recomputeCountdowns(lastDepartureData, Date.now() + clockOffset);
+
+        if (getCountdownSignature(lastDepartureData) !== before) {
+            displayDepartures(lastDepartureData);
+        }
+    }
+
+    /**
+     * Merge API responses from multiple RBL numbers
+     */
+    function mergeAPIResponses(responses) {
+        const merged = {
+            data: {
+                monitors: [],
+                trafficInfos: [],
+                trafficInfoCategories: []
+            }
+        };
+
+        responses.forEach(response => {
+            if (response.data && response.data.monitors) {
+                merged.data.monitors.push(...response.data.monitors);
+            }
+            if (response.data && response.data.trafficInfos) {
+                merged.data.trafficInfos.push(...response.data.trafficInfos);
+            }
+            if (response.data && response.data.trafficInfoCategories) {
+                merged.data.trafficInfoCategories.push(...response.data.trafficInfoCategories);
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Display departures in the single table or in the dashboard panels
+     */
+    function displayDepartures(data) {
+        lastDepartureData = data;
+        renderLineLegend(data.data && data.data.monitors ? extractDepartures(data) : []);
+
+        if (layout === 'dashboard') {
+            renderDashboard(data);
+            return;
+        }
+
+        showOnBoard(document.getElementById('departures-board'), data, {
+            filters: document.getElementById('line-filters'),
+            max: maxDepartures,
+            stationKey: getStationKey()
+        });
+    }
+
+    /**
+     * Pass departures and the monitor settings to a <wl-departures> board
+     * Line filters stay on the page, as they are remembered per station.
+     */
+    function showOnBoard(board, data, options) {
+        const excluded = getStationList(CONFIG.LINE_FILTERS_KEY, options.stationKey);
+        const departures = data.data && data.data.monitors ? extractDepartures(data) : [];
+        renderLineFilters(options.filters, departures, excluded, options.stationKey);
+
+        board.dataset.stationKey = options.stationKey;
+        setBoardAttributes(board, {
+            max: options.max,
+            view: viewMode,
+            walk: walkingTime,
+            countdowns: CONFIG.GROUPED_COUNTDOWNS,
+            'alert-minutes': alertMinutes,
+            exclude: excluded.join(','),
+            accessible: accessibleOnly ? '' : null,
+            'hide-unreachable': hideUnreachable ? '' : null
+        });
+        board.alerts = getStationList(CONFIG.ALERTS_KEY, options.stationKey);
+        board.disruptions = disruptedLines;
+        board.data = data;
+    }
+
+    /**
+     * Set or remove (null) attributes of a board
+     */
+    function setBoardAttributes(board, attributes) {
+        Object.keys(attributes).forEach(name => {
+            if (attributes[name] === null) {
+                board.removeAttribute(name);
+            } else {
+                board.setAttribute(name, attributes[name]);
+            }
+        });
+    }
+
+    /**
+     * Handle the events of a board
+     * Alerts are checked whenever the page passes data, including countdown ticks.
+     */
+    function watchBoard(board) {
+        board.addEventListener('wl-refresh', function(e) {
+            checkDepartureAlerts(e.detail.departures, board.dataset.stationKey);
+        });
+        board.addEventListener('wl-alert-toggle', function(e) {
+            toggleDepartureAlert({ line: e.detail.line, towards: e.detail.towards, stationKey: board.dataset.stationKey });
+        });
+    }
+
+    /**
+     * Show a legend entry for every line category on screen
+     */
+    function renderLineLegend(departures) {
+        const container = document.getElementById('line-legend');
+        container.innerHTML = '';
+
+        LINE_CATEGORIES.forEach(category => {
+            const sample = departures.find(dep => getLineClass(dep.lineType, dep.line).split(' ')[0] === category.className);
+            if (!sample) {
+                return;
+            }
+
+            const entry = document.createElement('span');
+            entry.className = 'line-legend-entry';
+
+            const badge = document.createElement('span');
+            badge.className = `line-badge ${getLineClass(sample.lineType, sample.line)}`;
+            badge.textContent = sample.line;
+            entry.appendChild(badge);
+            entry.appendChild(document.createTextNode(category.labels.de));
+
+            container.appendChild(entry);
+        });
+    }
+
+    /**
+     * Switch between the normal and the high-contrast line colours
+     */
+    function applyContrast() {
+        const enabled = highContrast !== null
+            ? highContrast
+            : typeof window.matchMedia === 'function' && window.matchMedia('(prefers-contrast: more)').matches;
+
+        document.body.classList.toggle('high-contrast', enabled);
+        document.getElementById('high-contrast').checked = enabled;
+        document.querySelectorAll('wl-departures').forEach(board => {
+            setBoardAttributes(board, { contrast: enabled ? 'high' : null });
+        });
+    }
+
+    /**
+     * Display traffic information
+     * Merged infos of all RBLs, deduplicated and ordered by severity and time window.
+     */
+    function displayTrafficInfo(data) {
+        const container = document.getElementById('traffic-info-container');
+        container.innerHTML = '';
+        disruptedLines = {};
+
+        const allInfos = data.data && data.data.trafficInfos ? dedupeTrafficInfos(data.data.trafficInfos) : [];
+        const categories = data.data && data.data.trafficInfoCategories ? data.data.trafficInfoCategories : [];
+        const infos = allInfos.filter(info => !isElevatorInfo(info, categories));
+        const lineTypes = {};
+        if (data.data && data.data.monitors) {
+            extractDepartures(data).forEach(dep => {
+                lineTypes[dep.line] = dep.lineType;
+            });
+        }
+
+        infos.sort(compareTrafficInfos).forEach((info, index) => {
+            const id = `traffic-info-${index}`;
+            const lines = (info.relatedLines || []).filter(line => lineTypes[line]);
+            lines.forEach(line => {
+                if (!disruptedLines[line]) {
+                    disruptedLines[line] = id;
+                }
+            });
+
+            container.appendChild(createTrafficInfo(info, id, lines, lineTypes));
         });
+    }
 
-        customRBL.addEventListener('keypress', function(e) {
-            if (e.key === 'Enter' && this.value.trim()) {
-                currentRBLs = this.value.split(',').map(rbl => rbl.trim());
-                loadDepartures();
-            }
-        });
+    /**
+     * Elevator outages come in the same list as disruptions
+     */
+    function isElevatorInfo(info, categories) {
+        const category = categories.find(c => c.id === info.refTrafficInfoCategoryId);
+        if (category) {
+            return category.name === 'aufzugsinfo';
+        }
+        return /^(AZ|aufzug)/i.test(info.name || '');
     }
 
     /**
-     * Load departures from API
+     * Display elevator outages at the selected stations
      */
-    function loadDepartures() {
-        showLoading();
-        clearError();
-
-        // Fetch data from all RBL numbers
-        const fetchPromises = currentRBLs.map(rbl => {
-            const apiUrl = `${CONFIG.API_BASE_URL}?rbl=${rbl}&activateTrafficInfo=stoerunglang`;
-            const url = CONFIG.CORS_PROXY + encodeURIComponent(apiUrl);
-            
-            return fetch(url)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error(`HTTP error! status: ${response.status}`);
-                    }
-                    return response.json();
-                })
-                .catch(error => {
-                    console.error(`Error fetching departures for RBL ${rbl}:`, error);
-                    return null;
-                });
+    function displayElevatorInfo(data) {
+        const container = document.getElementById('elevator-container');
+        const list = document.getElementById('elevator-list');
+        list.innerHTML = '';
+
+        const categories = data.data && data.data.trafficInfoCategories ? data.data.trafficInfoCategories : [];
+        const infos = data.data && data.data.trafficInfos ? dedupeTrafficInfos(data.data.trafficInfos) : [];
+        const monitors = data.data && data.data.monitors ? data.data.monitors : [];
+        const rbls = monitors.map(getMonitorRBL).filter(Boolean);
+        const stopNames = monitors
+            .map(monitor => monitor.locationStop && monitor.locationStop.properties ? monitor.locationStop.properties.title : null)
+            .filter(Boolean);
+
+        const outages = infos.filter(info => isElevatorInfo(info, categories) && isAtStation(info, rbls, stopNames));
+
+        outages.sort(compareTrafficInfos).forEach(info => {
+            list.appendChild(createElevatorEntry(info));
         });
 
-        Promise.all(fetchPromises)
-            .then(results => {
-                // Filter out failed requests
-                const validResults = results.filter(data => data !== null);
-                
-                if (validResults.length === 0) {
-                    throw new Error('All API requests failed');
-                }
+        container.style.display = outages.length > 0 ? 'block' : 'none';
 
-                console.log('API Responses:', validResults);
-                
-                // Merge all departures from all RBLs
-                const mergedData = mergeAPIResponses(validResults);
-                
-                displayDepartures(mergedData);
-                displayTrafficInfo(validResults[0]); // Use traffic info from first response
-                updateLastUpdateTime();
-            })
-            .catch(error => {
-                console.error('Error fetching departures:', error);
-                showError('Fehler beim Laden der Abfahrtsdaten. Bitte versuchen Sie es später erneut.');
-                showFallbackData();
-            });
+        const alert = document.getElementById('elevator-alert');
+        alert.style.display = outages.length > 0 ? 'inline-block' : 'none';
+        alert.title = outages.length === 1
+            ? '1 Aufzug außer Betrieb'
+            : `${outages.length} Aufzüge außer Betrieb`;
     }
 
     /**
-     * Merge API responses from multiple RBL numbers
+     * Match an elevator outage to the selected stops by RBL or station name
      */
-    function mergeAPIResponses(responses) {
-        const merged = {
-            data: {
-                monitors: [],
-                trafficInfos: []
-            }
-        };
+    function isAtStation(info, rbls, stopNames) {
+        const attributes = info.attributes || {};
+        const relatedStops = (info.relatedStops || attributes.relatedStops || []).map(String);
 
-        responses.forEach(response => {
-            if (response.data && response.data.monitors) {
-                merged.data.monitors.push(...response.data.monitors);
-            }
-            if (response.data && response.data.trafficInfos) {
-                merged.data.trafficInfos.push(...response.data.trafficInfos);
-            }
-        });
+        if (relatedStops.some(stop => rbls.includes(stop))) {
+            return true;
+        }
 
-        return merged;
+        const station = attributes.station || info.title;
+        return Boolean(station) && stopNames.includes(station);
     }
 
     /**
-     * Display departures in table
+     * Build one elevator outage entry from text nodes only
      */
-    function displayDepartures(data) {
-        const tbody = document.getElementById('departures-body');
-        tbody.innerHTML = '';
+    function createElevatorEntry(info) {
+        const attributes = info.attributes || {};
+        const item = document.createElement('li');
 
-        if (!data.data || !data.data.monitors || data.data.monitors.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="3" class="loading">Keine Abfahrten gefunden für diese Station.</td></tr>';
-            return;
+        const location = document.createElement('strong');
+        location.textContent = attributes.location || info.description || info.title || 'Aufzug';
+        item.appendChild(location);
+
+        const details = [];
+        if (attributes.station) {
+            details.push(attributes.station);
+        }
+        if (attributes.reason) {
+            details.push(attributes.reason);
         }
 
-        const departures = [];
-        
-        // Extract all departures from all monitors
-        data.data.monitors.forEach(monitor => {
-            if (monitor.lines && monitor.lines.length > 0) {
-                monitor.lines.forEach(line => {
-                    if (line.departures && line.departures.departure) {
-                        line.departures.departure.forEach(departure => {
-                            departures.push({
-                                line: line.name,
-                                towards: line.towards,
-                                lineType: line.type || 'ptBusCity',
-                                departureTime: departure.departureTime,
-                                countdown: departure.departureTime.countdown
-                            });
-                        });
-                    }
-                });
-            }
-        });
+        const end = info.time ? parseApiTime(info.time.end) : null;
+        details.push(end === null
+            ? 'Reparaturdauer unbekannt'
+            : `voraussichtlich bis ${new Date(end).toLocaleString('de-AT', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`);
 
-        // Sort by countdown time
-        departures.sort((a, b) => a.countdown - b.countdown);
+        const detailText = document.createElement('span');
+        detailText.className = 'elevator-details';
+        detailText.textContent = details.join(' · ');
+        item.appendChild(detailText);
 
-        // Display only the next 4 departures
-        departures.slice(0, CONFIG.MAX_DEPARTURES).forEach(dep => {
-            const row = createDepartureRow(dep);
-            tbody.appendChild(row);
-        });
+        return item;
+    }
 
-        if (departures.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="3" class="loading">Keine Abfahrten in den nächsten Minuten.</td></tr>';
-        }
+    /**
+     * Drop traffic infos reported by more than one RBL
+     */
+    function dedupeTrafficInfos(infos) {
+        const seen = {};
+        return infos.filter(info => {
+            const key = info.name || info.id || `${info.title}|${info.description}`;
+            if (seen[key]) {
+                return false;
+            }
+            seen[key] = true;
+            return true;
+        });
     }
 
     /**
-     * Create a departure row
+     * Order by priority (lower is more severe), then by start and end time
      */
-    function createDepartureRow(departure) {
-        const row = document.createElement('tr');
-        
-        // Line badge
-        const lineCell = document.createElement('td');
-        const lineBadge = document.createElement('span');
-        lineBadge.className = `line-badge ${getLineClass(departure.lineType)}`;
-        lineBadge.textContent = departure.line;
-        lineCell.appendChild(lineBadge);
-        row.appendChild(lineCell);
-
-        // Direction
-        const directionCell = document.createElement('td');
-        directionCell.textContent = departure.towards;
-        row.appendChild(directionCell);
-
-        // Countdown
-        const countdownCell = document.createElement('td');
-        const countdownSpan = document.createElement('span');
-        countdownSpan.className = 'countdown';
-        
-        if (departure.countdown === 0) {
-            countdownSpan.className += ' countdown-now';
-            countdownSpan.textContent = 'JETZT';
-        } else if (departure.countdown === 1) {
-            countdownSpan.textContent = '1 min';
-        } else {
-            countdownSpan.textContent = `${departure.countdown} min`;
-        }
-        
-        countdownCell.appendChild(countdownSpan);
-        row.appendChild(countdownCell);
+    function compareTrafficInfos(a, b) {
+        const priority = info => {
+            const value = parseInt(info.priority, 10);
+            return isNaN(value) ? Number.MAX_SAFE_INTEGER : value;
+        };
+        const time = (info, field) => {
+            const value = info.time ? parseApiTime(info.time[field]) : null;
+            return value === null ? Number.MAX_SAFE_INTEGER : value;
+        };
 
-        return row;
+        return priority(a) - priority(b)
+            || time(a, 'start') - time(b, 'start')
+            || time(a, 'end') - time(b, 'end');
     }
 
     /**
-     * Get CSS class for line type
+     * Build one traffic info box from text nodes only
      */
-    function getLineClass(lineType) {
-        if (lineType.includes('Bus')) return 'line-bus';
-        if (lineType.includes('Tram')) return 'line-tram';
-        if (lineType.includes('U')) return 'line-u';
-        if (lineType.includes('S')) return 'line-s';
-        return 'line-bus';
+    function createTrafficInfo(info, id, lines, lineTypes) {
+        const div = document.createElement('div');
+        div.className = 'traffic-info';
+        div.id = id;
+
+        const title = document.createElement('h3');
+        title.textContent = `⚠️ ${info.title || 'Verkehrsinformation'}`;
+        div.appendChild(title);
+
+        if (lines.length > 0) {
+            const lineList = document.createElement('div');
+            lineList.className = 'traffic-info-lines';
+            lines.forEach(line => {
+                const badge = document.createElement('span');
+                badge.className = `line-badge ${getLineClass(lineTypes[line], line)}`;
+                badge.textContent = line;
+                lineList.appendChild(badge);
+            });
+            div.appendChild(lineList);
+        }
+
+        const timeWindow = formatTrafficInfoTime(info.time);
+        if (timeWindow) {
+            const time = document.createElement('p');
+            time.className = 'traffic-info-time';
+            time.textContent = timeWindow;
+            div.appendChild(time);
+        }
+
+        const description = info.description || info.subtitle || 'Keine Details verfügbar';
+        if (description.length > CONFIG.TRAFFIC_INFO_PREVIEW_LENGTH) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${description.slice(0, CONFIG.TRAFFIC_INFO_PREVIEW_LENGTH).trim()}…`;
+            details.appendChild(summary);
+
+            const text = document.createElement('p');
+            text.textContent = description;
+            details.appendChild(text);
+            div.appendChild(details);
+        } else {
+            const text = document.createElement('p');
+            text.textContent = description;
+            div.appendChild(text);
+        }
+
+        return div;
     }
 
     /**
-     * Display traffic information
+     * Describe the time window of a traffic info
      */
-    function displayTrafficInfo(data) {
-        const container = document.getElementById('traffic-info-container');
-        container.innerHTML = '';
+    function formatTrafficInfoTime(time) {
+        if (!time) {
+            return '';
+        }
 
-        if (data.data && data.data.trafficInfos && data.data.trafficInfos.length > 0) {
-            data.data.trafficInfos.forEach(info => {
-                const div = document.createElement('div');
-                div.className = 'traffic-info';
-                div.innerHTML = `
-                    <h3>⚠️ ${info.title || 'Verkehrsinformation'}</h3>
-                    <p>${info.description || info.subtitle || 'Keine Details verfügbar'}</p>
-                `;
-                container.appendChild(div);
+        const format = value => {
+            const parsed = parseApiTime(value);
+            return parsed === null ? '' : new Date(parsed).toLocaleString('de-AT', {
+                day: '2-digit',
+                month: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
             });
+        };
+
+        const start = format(time.start);
+        const end = format(time.end);
+
+        if (start && end) {
+            return `${start} – ${end}`;
+        }
+        if (start) {
+            return `Seit ${start}`;
         }
+        return end ? `Bis ${end}` : '';
     }
 
     /**
      * Load weather data from Open-Meteo API (free, no API key required)
      */
     function loadWeather() {
-        const url = `${CONFIG.WEATHER_API_URL}?latitude=${CONFIG.VIENNA_LAT}&longitude=${CONFIG.VIENNA_LON}&current=temperature_2m,weather_code&timezone=Europe/Vienna`;
+        const location = weatherLocation || CONFIG.WEATHER_HOME;
+        document.getElementById('weather-location').textContent = `📍 ${location.name}`;
+
+        const url = `${CONFIG.WEATHER_API_URL}?latitude=${location.lat.toFixed(4)}&longitude=${location.lon.toFixed(4)}` +
+            '&current=temperature_2m,weather_code' +
+            `&minutely_15=precipitation&forecast_minutely_15=${CONFIG.NOWCAST_SLOTS + 1}` +
+            '&hourly=temperature_2m,weather_code,precipitation_probability&forecast_days=1' +
+            `&timezone=${encodeURIComponent(CONFIG.WEATHER_TIME_ZONE)}&timeformat=unixtime`;
         
-        fetch(url)
-            .then(response => response.json())
+        const request = replay ? getReplayWeather() : fetch(url).then(response => response.json());
+
+        request
             .then(data => {
                 if (data.current) {
                     displayWeather(data.current);
                 }
+                displayNowcast(data.minutely_15);
+                displayHourlyForecast(data.hourly);
             })
             .catch(error => {
                 console.error('Error fetching weather:', error);
                 document.getElementById('weather-desc').textContent = 'Wetter nicht verfügbar';
+                displayNowcast(null);
+                displayHourlyForecast(null);
             });
     }
 
+    /**
+     * Weather of the current replay frame
+     */
+    function getReplayWeather() {
+        if (!replay.fixture) {
+            return Promise.reject(new Error('Replay fixture not loaded'));
+        }
+
+        const frame = getReplayFrame();
+        if (!frame.weather || frame.weather.status) {
+            return Promise.reject(new Error(`HTTP error! status: ${frame.weather ? frame.weather.status : 404}`));
+        }
+        return Promise.resolve(frame.weather);
+    }
+
+    /**
+     * Place and name of the first selected stop, from the monitor response
+     * On the dashboard that is the first panel's stop: a centre of several stops
+     * could lie between districts, far from every one of them.
+     * Returns null when the response carries no coordinates.
+     */
+    function getStationLocation(data) {
+        const monitors = data.data && data.data.monitors ? data.data.monitors : [];
+
+        // Active RBLs are in panel order on the dashboard
+        const stop = getActiveRBLs()
+            .map(rbl => monitors.find(monitor => getMonitorRBL(monitor) === rbl))
+            .map(monitor => monitor && monitor.locationStop)
+            .find(stop => stop && stop.geometry && Array.isArray(stop.geometry.coordinates));
+
+        if (!stop) {
+            return null;
+        }
+
+        // GeoJSON order is [longitude, latitude]
+        return {
+            name: stop.properties && stop.properties.title ? stop.properties.title : CONFIG.WEATHER_HOME.name,
+            lat: stop.geometry.coordinates[1],
+            lon: stop.geometry.coordinates[0]
+        };
+    }
+
+    /**
+     * Reload the weather when the station moves it to another place
+     */
+    function updateWeatherLocation(location) {
+        const next = location || CONFIG.WEATHER_HOME;
+        const moved = !weatherLocation
+            || weatherLocation.name !== next.name
+            || Math.abs(weatherLocation.lat - next.lat) > 0.005
+            || Math.abs(weatherLocation.lon - next.lon) > 0.005;
+
+        if (moved) {
+            weatherLocation = next;
+            loadWeather();
+        }
+    }
+
     /**
      * Display weather information
      */
@@ -322,6 +2587,105 @@
         document.getElementById('weather-desc').textContent = weatherInfo.description;
     }
 
+    /**
+     * Show the 15-minute precipitation nowcast and the umbrella banner
+     * Times are unix seconds (timeformat=unixtime), so the device's zone does not matter.
+     */
+    function displayNowcast(minutely) {
+        const container = document.getElementById('weather-nowcast');
+        container.innerHTML = '';
+
+        if (!minutely || !minutely.time) {
+            updateUmbrellaBanner(null);
+            return;
+        }
+
+        const now = Date.now();
+        const slots = minutely.time
+            .map((time, i) => ({ start: time * 1000, precipitation: minutely.precipitation[i] || 0 }))
+            // Keep the slot we are in and the ones ahead
+            .filter(slot => slot.start + 15 * 60000 > now)
+            .slice(0, CONFIG.NOWCAST_SLOTS);
+
+        const max = Math.max(1, ...slots.map(slot => slot.precipitation));
+        slots.forEach(slot => {
+            const bar = document.createElement('div');
+            bar.className = 'nowcast-bar';
+            bar.title = `${new Date(slot.start).toLocaleTimeString('de-AT', { hour: '2-digit', minute: '2-digit', timeZone: CONFIG.WEATHER_TIME_ZONE })}: ${slot.precipitation.toFixed(1)} mm`;
+
+            const fill = document.createElement('span');
+            fill.style.height = `${Math.round(slot.precipitation / max * 100)}%`;
+            bar.appendChild(fill);
+            container.appendChild(bar);
+        });
+
+        const rainSlot = slots.find(slot =>
+            slot.precipitation >= CONFIG.RAIN_THRESHOLD && slot.start < now + CONFIG.UMBRELLA_WINDOW * 60000);
+        updateUmbrellaBanner(rainSlot ? Math.max(Math.round((rainSlot.start - now) / 60000), 0) : null);
+    }
+
+    /**
+     * Show or hide the umbrella banner next to the departures
+     */
+    function updateUmbrellaBanner(minutesUntilRain) {
+        const banner = document.getElementById('umbrella-banner');
+
+        if (minutesUntilRain === null) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        banner.textContent = minutesUntilRain === 0
+            ? '☂️ Regenschirm mitnehmen – es regnet gerade'
+            : `☂️ Regenschirm mitnehmen – Regen in etwa ${minutesUntilRain} Minuten`;
+        banner.style.display = 'block';
+    }
+
+    /**
+     * Show a compact hourly strip for the rest of the day (in WEATHER_TIME_ZONE)
+     */
+    function displayHourlyForecast(hourly) {
+        const container = document.getElementById('weather-hourly');
+        container.innerHTML = '';
+
+        if (!hourly || !hourly.time) {
+            return;
+        }
+
+        const zone = { timeZone: CONFIG.WEATHER_TIME_ZONE };
+        const hourFormat = new Intl.DateTimeFormat('de-AT', Object.assign({ hour: 'numeric', hourCycle: 'h23' }, zone));
+        const now = new Date();
+        const today = now.toLocaleDateString('de-AT', zone);
+        // Vienna is a whole number of hours off UTC, so hours start at the same instants
+        const currentHour = Math.floor(now.getTime() / 3600000) * 3600000;
+
+        hourly.time.forEach((time, i) => {
+            const date = new Date(time * 1000);
+            if (date.getTime() <= currentHour || date.toLocaleDateString('de-AT', zone) !== today) {
+                return;
+            }
+
+            const info = getWeatherInfo(hourly.weather_code[i]);
+            const hour = document.createElement('div');
+            hour.className = 'hourly-item';
+            hour.title = `${info.description}, Regenwahrscheinlichkeit ${hourly.precipitation_probability[i]}%`;
+
+            const label = document.createElement('span');
+            label.textContent = `${hourFormat.formatToParts(date).find(part => part.type === 'hour').value}h`;
+            hour.appendChild(label);
+
+            const icon = document.createElement('span');
+            icon.textContent = info.icon;
+            hour.appendChild(icon);
+
+            const temp = document.createElement('span');
+            temp.textContent = `${Math.round(hourly.temperature_2m[i])}°`;
+            hour.appendChild(temp);
+
+            container.appendChild(hour);
+        });
+    }
+
     /**
      * Get weather icon and description from WMO code
      */
@@ -369,8 +2733,7 @@
      * Show loading state
      */
     function showLoading() {
-        const tbody = document.getElementById('departures-body');
-        tbody.innerHTML = '<tr><td colspan="3" class="loading">Lade Daten...</td></tr>';
+        getDepartureBoards().forEach(board => board.showMessage('Lade Daten...'));
     }
 
     /**
@@ -378,7 +2741,11 @@
      */
     function showError(message) {
         const errorContainer = document.getElementById('error-container');
-        errorContainer.innerHTML = `<div class="error">${message}</div>`;
+        const error = document.createElement('div');
+        error.className = 'error';
+        error.textContent = message;
+        errorContainer.innerHTML = '';
+        errorContainer.appendChild(error);
     }
 
     /**
@@ -389,192 +2756,317 @@
     }
 
     /**
-     * Show fallback demo data
+     * Show empty table when neither live nor cached data is available
+     */
+    function showNoData() {
+        getDepartureBoards().forEach(board => board.showMessage('Keine Abfahrtsdaten verfügbar.'));
+    }
+
+    /**
+     * Show banner for departures rendered from the local cache
+     */
+    function showStaleBanner(savedAt) {
+        const banner = document.getElementById('stale-banner');
+        const minutes = Math.max(Math.round((Date.now() - savedAt) / 60000), 0);
+        const savedTime = new Date(savedAt).toLocaleTimeString('de-AT');
+
+        banner.textContent = minutes === 1
+            ? `⚠️ Zwischengespeicherte Daten sind 1 Minute alt (Stand ${savedTime})`
+            : `⚠️ Zwischengespeicherte Daten sind ${minutes} Minuten alt (Stand ${savedTime})`;
+        banner.style.display = 'block';
+    }
+
+    /**
+     * Hide the cached data banner
      */
-    function showFallbackData() {
-        const tbody = document.getElementById('departures-body');
-        tbody.innerHTML = `
-            <tr>
-                <td><span class="line-badge line-u">U1</span></td>
-                <td>Leopoldau</td>
-                <td><span class="countdown">2 min</span></td>
-            </tr>
-            <tr>
-                <td><span class="line-badge line-u">U3</span></td>
-                <td>Ottakring</td>
-                <td><span class="countdown">5 min</span></td>
-            </tr>
-            <tr>
-                <td><span class="line-badge line-tram">2</span></td>
-                <td>Dornbach</td>
-                <td><span class="countdown">8 min</span></td>
-            </tr>
-        `;
+    function hideStaleBanner() {
+        document.getElementById('stale-banner').style.display = 'none';
     }
 
     /**
-     * Load smart meter data
+     * Load smart meter data for the selected period
      */
     function loadSmartMeterData() {
-        const credentials = getSmartMeterCredentials();
+        const session = SmartMeter.getSession();
+        const sequence = ++smartMeterSequence;
+
+        renderSmartMeterPeriods();
+        document.getElementById('smartmeter-label').textContent = CONFIG.SMARTMETER_LABELS[smartMeterPeriod];
         
-        if (!credentials) {
+        if (!session) {
             document.getElementById('smartmeter-value').textContent = '-- kWh';
             document.getElementById('smartmeter-period').textContent = 'Nicht konfiguriert';
+            document.getElementById('smartmeter-panel').style.display = 'none';
+            document.getElementById('smartmeter-widget').classList.remove('anomaly');
             return;
         }
 
         document.getElementById('smartmeter-period').textContent = 'Lade...';
-        
-        // Check if backend proxy is available
-        if (window.location.protocol === 'file:' || !isBackendAvailable()) {
-            // Use demo data when running locally without backend
-            setTimeout(() => {
-                const mockConsumption = (Math.random() * 50 + 100).toFixed(1);
-                displaySmartMeterData({
-                    weeklyConsumption: mockConsumption,
-                    period: 'Demo-Daten (Backend benötigt)',
-                    unit: 'kWh'
-                });
-            }, 1000);
-        } else {
-            // Call backend proxy for secure API access
-            fetchSmartMeterAPI(credentials);
+
+        SmartMeter.getConsumption(smartMeterPeriod)
+            .then(data => {
+                if (sequence === smartMeterSequence) {
+                    displaySmartMeterData(data);
+                }
+            })
+            .catch(error => {
+                if (sequence !== smartMeterSequence) {
+                    return;
+                }
+                console.error('Smart meter API error:', error);
+                document.getElementById('smartmeter-value').textContent = 'Fehler';
+                document.getElementById('smartmeter-period').textContent = describeSmartMeterError(error);
+            });
+    }
+
+    /**
+     * Text for a smart meter error, by the error code of the proxy
+     */
+    function describeSmartMeterError(error) {
+        return CONFIG.SMARTMETER_ERRORS[error.code] || error.message;
+    }
+
+    /**
+     * Display smart meter data in the widget and the chart
+     */
+    function displaySmartMeterData(data) {
+        const totals = data.totals;
+        const notes = [];
+        if (data.loadCurveAvailable === false) {
+            notes.push('Viertelstundenwerte sind nicht freigeschaltet (Smart Meter Webportal), daher nur der Tageswert');
+        }
+        if (totals.estimated > 0) {
+            notes.push(`davon ${formatKwh(totals.estimated)} ${totals.unit} Ersatzwerte`);
+        }
+        if (totals.missing > 0) {
+            notes.push(totals.missing === 1 ? '1 Wert fehlt' : `${totals.missing} Werte fehlen`);
+        }
+
+        document.getElementById('smartmeter-value').textContent = `${formatKwh(totals.value)} ${totals.unit}`;
+        document.getElementById('smartmeter-period').textContent = data.label;
+        document.getElementById('smartmeter-summary').textContent =
+            `${data.label}: ${formatKwh(totals.value)} ${totals.unit}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+        renderSmartMeterChart(data);
+
+        if (window.SmartMeterTariff) {
+            window.SmartMeterTariff.update(data);
+        }
+        if (window.SmartMeterInsights) {
+            window.SmartMeterInsights.update(data);
+        }
+    }
+
+    /**
+     * Draw one bar per point (quarter hour, day or month); estimated values are lighter
+     */
+    function renderSmartMeterChart(data) {
+        const container = document.getElementById('smartmeter-chart');
+        container.innerHTML = '';
+
+        if (data.points.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'loading';
+            empty.textContent = 'Keine Messwerte für diesen Zeitraum.';
+            container.appendChild(empty);
+            return;
         }
+
+        const max = Math.max(0.001, ...data.points.map(point => point.value || 0));
+        data.points.forEach((point, i) => {
+            const time = new Date(point.time);
+            const column = document.createElement('div');
+            column.className = point.estimated ? 'smartmeter-column estimated' : 'smartmeter-column';
+            column.title = `${formatReadingTime(time, point.granularity, false)}: ${point.value === null
+                ? 'kein Wert'
+                : `${formatKwh(point.value)} ${point.unit}${point.estimated ? ' (Ersatzwert)' : ''}`}`;
+
+            const bar = document.createElement('div');
+            bar.className = 'smartmeter-bar';
+            const fill = document.createElement('span');
+            fill.style.height = `${Math.round((point.value || 0) / max * 100)}%`;
+            bar.appendChild(fill);
+
+            const tick = document.createElement('div');
+            tick.className = 'smartmeter-tick';
+            // A label every three hours on the load curve, every few days in a month
+            const labelled = data.granularity === 'QUARTER_HOUR' ? i % 12 === 0
+                : data.points.length > 10 ? i % 5 === 0
+                : true;
+            tick.textContent = labelled ? formatReadingTime(time, data.granularity, true) : '';
+
+            column.appendChild(bar);
+            column.appendChild(tick);
+            container.appendChild(column);
+        });
     }
 
     /**
-     * Check if backend is available
+     * Format kWh with up to three decimals
      */
-    function isBackendAvailable() {
-        // Simple check - in production, you might want to ping the backend
-        return document.location.hostname !== '' && 
-               document.location.hostname !== 'localhost' &&
-               !document.location.hostname.startsWith('127.0.0.1');
+    function formatKwh(value) {
+        return value.toLocaleString('de-AT', { maximumFractionDigits: 3 });
     }
 
     /**
-     * Fetch smart meter data through backend proxy
+     * Axis label (short) or tooltip text of a reading time
      */
-    function fetchSmartMeterAPI(credentials) {
-        // Using backend proxy to handle authentication securely
-        fetch(CONFIG.SMARTMETER_PROXY, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: new URLSearchParams({
-                action: 'getConsumption',
-                username: credentials.username,
-                password: atob(credentials.password),
-                meterId: credentials.meterId || '',
-                period: 'week'
-            })
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (data.success) {
-                displaySmartMeterData(data.data);
-            } else {
-                throw new Error(data.error || 'API Fehler');
-            }
-        })
-        .catch(error => {
-            console.error('Smart meter API error:', error);
-            document.getElementById('smartmeter-value').textContent = 'Fehler';
-            document.getElementById('smartmeter-period').textContent = error.message;
-            
-            // Show configuration hint if authentication failed
-            if (error.message.includes('401') || error.message.includes('Login')) {
-                setTimeout(() => {
-                    document.getElementById('smartmeter-period').textContent = 'Zugangsdaten prüfen';
-                }, 2000);
-            }
+    function formatReadingTime(time, granularity, short) {
+        const zone = { timeZone: CONFIG.SMARTMETER_TIME_ZONE };
+        switch (granularity) {
+            case 'QUARTER_HOUR':
+                return time.toLocaleTimeString('de-AT', Object.assign({ hour: '2-digit', minute: '2-digit' }, zone));
+            case 'MONTH':
+                return time.toLocaleDateString('de-AT', Object.assign(short ? { month: 'short' } : { month: 'long', year: 'numeric' }, zone));
+            default:
+                return time.toLocaleDateString('de-AT', Object.assign(short
+                    ? { day: 'numeric', month: 'numeric' }
+                    : { weekday: 'short', day: 'numeric', month: 'numeric', year: 'numeric' }, zone));
+        }
+    }
+
+    /**
+     * Mark the selected period in the switcher
+     */
+    function renderSmartMeterPeriods() {
+        document.querySelectorAll('#smartmeter-periods button').forEach(button => {
+            button.classList.toggle('active', button.dataset.period === smartMeterPeriod);
         });
     }
 
     /**
-     * Display smart meter data
+     * Show or hide the consumption chart
      */
-    function displaySmartMeterData(data) {
-        document.getElementById('smartmeter-value').textContent = `${data.weeklyConsumption} ${data.unit}`;
-        document.getElementById('smartmeter-period').textContent = data.period;
+    function toggleSmartMeterPanel() {
+        const panel = document.getElementById('smartmeter-panel');
+        panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
     }
 
     /**
      * Open configuration modal
      */
     function openConfigModal() {
-        const credentials = getSmartMeterCredentials();
-        if (credentials) {
-            document.getElementById('meter-username').value = credentials.username;
-            document.getElementById('meter-id').value = credentials.meterId || '';
-        }
+        const session = SmartMeter.getSession();
+        const keyInput = document.getElementById('meter-password');
+
+        document.getElementById('meter-id').value = session ? session.meterId : '';
+        keyInput.value = '';
+        keyInput.placeholder = session ? 'Neuer API Key (leer lassen zum Beibehalten)' : 'API Key';
+        document.getElementById('clear-config').style.display = session ? '' : 'none';
+        document.getElementById('meter-session').textContent = !session
+            ? 'Nicht angemeldet'
+            : session.demo
+                ? 'Demo-Modus (kein Backend)'
+                : `Angemeldet bis ${new Date(session.expiresAt).toLocaleString('de-AT')}`;
         document.getElementById('config-modal').classList.add('active');
+
+        if (session) {
+            loadMeterOptions().catch(error => console.warn('Could not load Zählpunkte:', error));
+        }
+    }
+
+    /**
+     * Offer the Zählpunkte of the API key in the Zählpunkt field
+     */
+    function loadMeterOptions() {
+        return SmartMeter.getMeters().then(meters => {
+            const list = document.getElementById('meter-list');
+            list.innerHTML = '';
+            meters.forEach(meter => {
+                const option = document.createElement('option');
+                option.value = meter.id;
+                option.textContent = [meter.name, meter.address].filter(Boolean).join(', ');
+                list.appendChild(option);
+            });
+            return meters;
+        });
     }
 
     /**
      * Save smart meter configuration
+     * A new API key is sent to the proxy once (login, or rotation of an
+     * existing login); only the returned token is kept in the browser.
+     * Without a backend the widget switches to demo data.
      */
     function saveSmartMeterConfig() {
-        const username = document.getElementById('meter-username').value.trim();
-        const password = document.getElementById('meter-password').value;
+        const keyInput = document.getElementById('meter-password');
+        const apiKey = keyInput.value.trim();
         const meterId = document.getElementById('meter-id').value.trim();
+        const session = SmartMeter.getSession();
+        const saveButton = document.getElementById('save-config');
 
-        if (!username || !password) {
-            alert('Bitte geben Sie Benutzername und Passwort ein.');
+        // Clear the key field right away, it is not needed any more
+        keyInput.value = '';
+
+        if (!apiKey && !session) {
+            alert('Bitte geben Sie Ihren API Key ein.');
             return;
         }
 
-        // Store credentials in localStorage (NOT recommended for production)
-        // In production, send these to your backend and use secure token storage
-        const credentials = {
-            username: username,
-            password: btoa(password), // Basic encoding (NOT encryption!)
-            meterId: meterId
-        };
+        let pending;
+        if (!apiKey) {
+            // Keep the current login, only the Zählpunkt changed
+            pending = Promise.resolve(SmartMeter.setMeterId(meterId));
+        } else if (session && !session.demo) {
+            pending = SmartMeter.rotate(apiKey).then(() => SmartMeter.setMeterId(meterId));
+        } else {
+            pending = SmartMeter.checkHealth().then(
+                () => SmartMeter.login(apiKey, meterId),
+                error => {
+                    if (error.code === SmartMeter.ERRORS.NETWORK) {
+                        return SmartMeter.startDemo(meterId);
+                    }
+                    throw error;
+                });
+        }
 
-        localStorage.setItem('smartmeter_config', JSON.stringify(credentials));
-        document.getElementById('config-modal').classList.remove('active');
-        
-        // Clear password field
-        document.getElementById('meter-password').value = '';
-        
-        loadSmartMeterData();
+        saveButton.disabled = true;
+        pending
+            .then(current => current.meterId ? current : selectMeter())
+            .then(current => {
+                if (current) {
+                    document.getElementById('config-modal').classList.remove('active');
+                    loadSmartMeterData();
+                }
+            })
+            .catch(error => {
+                console.error('Smart meter login failed:', error);
+                alert(`Anmeldung fehlgeschlagen: ${describeSmartMeterError(error)}`);
+            })
+            .then(() => {
+                saveButton.disabled = false;
+            });
     }
 
     /**
-     * Clear smart meter configuration
+     * Use the only Zählpunkt of the API key, or ask to choose one
+     * Resolves with the session, or null while the choice is open.
      */
-    function clearSmartMeterConfig() {
-        if (confirm('Möchten Sie die Smart Meter Konfiguration wirklich löschen?')) {
-            localStorage.removeItem('smartmeter_config');
-            document.getElementById('meter-username').value = '';
-            document.getElementById('meter-password').value = '';
-            document.getElementById('meter-id').value = '';
-            document.getElementById('config-modal').classList.remove('active');
-            loadSmartMeterData();
-        }
+    function selectMeter() {
+        return loadMeterOptions().then(meters => {
+            if (meters.length === 1) {
+                return SmartMeter.setMeterId(meters[0].id);
+            }
+
+            document.getElementById('meter-session').textContent = meters.length === 0
+                ? 'Keine Zählpunkte gefunden. Bitte Zählpunktnummer eingeben.'
+                : 'Bitte Zählpunkt auswählen.';
+            document.getElementById('meter-id').focus();
+            return null;
+        });
     }
 
     /**
-     * Get stored smart meter credentials
+     * Log out: the proxy deletes the stored API key, the browser forgets the token
      */
-    function getSmartMeterCredentials() {
-        const stored = localStorage.getItem('smartmeter_config');
-        if (stored) {
-            try {
-                return JSON.parse(stored);
-            } catch (e) {
-                return null;
-            }
+    function logoutSmartMeter() {
+        if (!confirm('Möchten Sie sich vom Smart Meter abmelden? Der API Key wird vom Server gelöscht.')) {
+            return;
         }
-        return null;
+
+        SmartMeter.logout();
+        document.getElementById('meter-id').value = '';
+        document.getElementById('config-modal').classList.remove('active');
+        loadSmartMeterData();
     }
 
     // Initialize when DOM is ready
@@ -0,0 +1,273 @@
+/**
+ * Wien Energie Smart Meter - Comparisons and Anomalies
+ * Compares the displayed period with the period before and the same dates a
+ * year ago, and flags days whose base load, night-time or daily consumption
+ * stands out against the median of the days before (e.g. a fridge or heat pump
+ * that no longer switches off).
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        COMPARISONS: [
+            // The period before a year is last year, shown once as "Vorjahr"
+            { compare: 'previous', title: 'Vorperiode', skip: ['year'] },
+            { compare: 'lastYear', title: 'Vorjahr', skip: [] }
+        ],
+        BASELINE_MAX_AGE: 6 * 60 * 60 * 1000, // Reload the load curve after 6 hours
+        BASELINE_DAYS: 14, // Rolling baseline: median of this many days before
+        MIN_BASELINE_DAYS: 7, // Days needed before a day can be judged
+        BASE_LOAD_FACTOR: 2, // Base load at least this times the usual one
+        NIGHT_FACTOR: 1.5, // Night consumption at least this times the usual one ...
+        NIGHT_MIN_INCREASE: 0.3, // ... and at least this many kWh more
+        DAY_FACTOR: 1.5, // Daily consumption at least this times the usual one
+        NIGHT_HOURS: [0, 5], // Night window for the night consumption (from, to)
+        BASE_LOAD_PERCENTILE: 0.1, // Quarter hours below this share define the base load
+        RECENT_DAYS: 7, // Anomalies of these last days are flagged on the widget
+        MAX_LISTED: 5
+    };
+
+    let comparisonSequence = 0; // Responses of superseded comparisons are ignored
+    let baseline = null; // { meterId, loadedAt, promise } of the cached load curve
+
+    /**
+     * Compare a displayed series and check the recent days for anomalies
+     */
+    function update(data) {
+        renderComparison(data);
+        renderAnomalies();
+    }
+
+    /**
+     * Percentage difference to the previous period and to last year
+     */
+    function renderComparison(data) {
+        const container = document.getElementById('smartmeter-comparison');
+        const sequence = ++comparisonSequence;
+        const comparisons = CONFIG.COMPARISONS.filter(item => !item.skip.includes(data.period));
+        if (!container) {
+            return;
+        }
+
+        Promise.all(comparisons.map(item =>
+            window.SmartMeter.getConsumption(data.period, item.compare)
+                .catch(error => {
+                    console.warn(`Could not load ${item.compare} consumption:`, error);
+                    return null;
+                })))
+            .then(results => {
+                if (sequence !== comparisonSequence) {
+                    return;
+                }
+
+                container.innerHTML = '';
+                results.forEach((reference, i) => {
+                    container.appendChild(createComparisonLine(comparisons[i].title, data.totals, reference));
+                });
+            });
+    }
+
+    /**
+     * One comparison line, e.g. "Vorjahr (11.10.–17.10.2025): 80 kWh, −12 %"
+     */
+    function createComparisonLine(title, totals, reference) {
+        const line = document.createElement('p');
+
+        if (!reference || reference.totals.points === reference.totals.missing || reference.totals.value <= 0) {
+            line.textContent = `${title}${reference ? ` (${reference.label})` : ''}: keine Vergleichsdaten`;
+            return line;
+        }
+
+        const change = (totals.value - reference.totals.value) / reference.totals.value * 100;
+        const rounded = Math.round(change);
+        line.textContent = `${title} (${reference.label}): ${formatKwh(reference.totals.value)} ${reference.totals.unit}, `;
+
+        const badge = document.createElement('strong');
+        badge.className = rounded > 0 ? 'comparison-up' : rounded < 0 ? 'comparison-down' : '';
+        badge.textContent = `${rounded > 0 ? '+' : rounded < 0 ? '−' : '±'}${Math.abs(rounded)} %`;
+        line.appendChild(badge);
+
+        return line;
+    }
+
+    /**
+     * List anomalous days of the load curve and flag the widget
+     */
+    function renderAnomalies() {
+        const container = document.getElementById('smartmeter-anomalies');
+        if (!container) {
+            return;
+        }
+
+        getBaseline()
+            .then(data => {
+                const days = getDailyStatistics(data.points);
+                const anomalies = findAnomalies(days);
+                const recentDates = days.slice(-CONFIG.RECENT_DAYS).map(day => day.date);
+                const recent = anomalies.filter(anomaly => recentDates.includes(anomaly.date));
+
+                container.innerHTML = '';
+                anomalies.slice(-CONFIG.MAX_LISTED).reverse().forEach(anomaly => {
+                    container.appendChild(createAnomalyLine(anomaly));
+                });
+                if (anomalies.length === 0 && days.length > CONFIG.MIN_BASELINE_DAYS) {
+                    const line = document.createElement('p');
+                    line.textContent = `✅ Keine Auffälligkeiten in den letzten ${days.length} Tagen.`;
+                    container.appendChild(line);
+                }
+
+                const widget = document.getElementById('smartmeter-widget');
+                if (!widget.dataset.title) {
+                    widget.dataset.title = widget.title;
+                }
+                widget.classList.toggle('anomaly', recent.length > 0);
+                widget.title = recent.length > 0
+                    ? 'Auffälliger Verbrauch – Details im Verbrauchsdiagramm'
+                    : widget.dataset.title;
+            })
+            .catch(error => {
+                // Cache failures only briefly, the next refresh tries again
+                baseline = null;
+                console.warn('Could not check consumption anomalies:', error);
+            });
+    }
+
+    /**
+     * Load curve of the last weeks, cached for BASELINE_MAX_AGE per Zählpunkt
+     */
+    function getBaseline() {
+        const session = window.SmartMeter.getSession();
+        const meterId = session ? session.meterId : '';
+        if (!baseline || baseline.meterId !== meterId || Date.now() - baseline.loadedAt > CONFIG.BASELINE_MAX_AGE) {
+            baseline = {
+                meterId: meterId,
+                loadedAt: Date.now(),
+                promise: window.SmartMeter.getConsumption('baseline')
+            };
+        }
+        return baseline.promise;
+    }
+
+    /**
+     * Daily consumption, base load (kW) and night consumption per local date
+     * Base load and night need quarter-hour values; with daily values they are null.
+     */
+    function getDailyStatistics(points) {
+        const days = {};
+
+        points.forEach(point => {
+            if (point.value === null) {
+                return;
+            }
+
+            // The local date is the start of the ISO time
+            const date = point.time.slice(0, 10);
+            if (!days[date]) {
+                days[date] = { date: date, total: 0, night: null, quarterHours: [] };
+            }
+
+            const day = days[date];
+            day.total += point.value;
+            if (point.granularity === 'QUARTER_HOUR') {
+                const hour = Number(point.time.slice(11, 13));
+                day.quarterHours.push(point.value);
+                if (hour >= CONFIG.NIGHT_HOURS[0] && hour < CONFIG.NIGHT_HOURS[1]) {
+                    day.night = (day.night || 0) + point.value;
+                }
+            }
+        });
+
+        return Object.keys(days).sort().map(date => {
+            const day = days[date];
+            const sorted = day.quarterHours.slice().sort((a, b) => a - b);
+            return {
+                date: date,
+                total: day.total,
+                // kWh per quarter hour times four is the average power in kW
+                baseLoad: sorted.length > 0 ? sorted[Math.floor(sorted.length * CONFIG.BASE_LOAD_PERCENTILE)] * 4 : null,
+                night: day.night
+            };
+        });
+    }
+
+    /**
+     * Days that stand out against the median of the days before
+     */
+    function findAnomalies(days) {
+        const anomalies = [];
+
+        days.forEach((day, i) => {
+            const previous = days.slice(Math.max(0, i - CONFIG.BASELINE_DAYS), i);
+            if (previous.length < CONFIG.MIN_BASELINE_DAYS) {
+                return;
+            }
+
+            const reasons = [];
+            const usualBaseLoad = median(previous.map(other => other.baseLoad));
+            const usualNight = median(previous.map(other => other.night));
+            const usualTotal = median(previous.map(other => other.total));
+
+            if (day.baseLoad !== null && usualBaseLoad > 0 && day.baseLoad >= usualBaseLoad * CONFIG.BASE_LOAD_FACTOR) {
+                reasons.push(`Grundlast ${formatNumber(day.baseLoad, 2)} kW statt ${formatNumber(usualBaseLoad, 2)} kW`);
+            }
+            if (day.night !== null && usualNight !== null
+                && day.night >= usualNight * CONFIG.NIGHT_FACTOR
+                && day.night - usualNight >= CONFIG.NIGHT_MIN_INCREASE) {
+                reasons.push(`Nachtverbrauch ${formatKwh(day.night)} kWh statt ${formatKwh(usualNight)} kWh`);
+            }
+            if (usualTotal > 0 && day.total >= usualTotal * CONFIG.DAY_FACTOR) {
+                reasons.push(`Tagesverbrauch ${formatKwh(day.total)} kWh statt ${formatKwh(usualTotal)} kWh`);
+            }
+
+            if (reasons.length > 0) {
+                anomalies.push({ date: day.date, reasons: reasons });
+            }
+        });
+
+        return anomalies;
+    }
+
+    /**
+     * Median of the values that are not null, or null
+     */
+    function median(values) {
+        const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+        if (sorted.length === 0) {
+            return null;
+        }
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * One anomaly line, e.g. "⚠️ Mo., 12.10.: Grundlast 0,4 kW statt 0,15 kW"
+     */
+    function createAnomalyLine(anomaly) {
+        const line = document.createElement('p');
+        const date = new Date(Number(anomaly.date.slice(0, 4)), Number(anomaly.date.slice(5, 7)) - 1, Number(anomaly.date.slice(8, 10)));
+        line.className = 'anomaly';
+        line.textContent = `⚠️ ${date.toLocaleDateString('de-AT', { weekday: 'short', day: 'numeric', month: 'numeric' })}: ${anomaly.reasons.join(', ')}`;
+        return line;
+    }
+
+    /**
+     * Format kWh with up to one decimal
+     */
+    function formatKwh(value) {
+        return formatNumber(value, 1);
+    }
+
+    /**
+     * Format a number with up to the given decimals
+     */
+    function formatNumber(value, decimals) {
+        return value.toLocaleString('de-AT', { maximumFractionDigits: decimals });
+    }
+
+    window.SmartMeterInsights = {
+        update: update
+    };
+
+})();
@@ -0,0 +1,300 @@
+/**
+ * Wien Energie Smart Meter - Electricity Costs
+ * Keeps the tariff settings and calculates the cost of the consumption series
+ * shown in the smart meter panel, plus a month-end projection.
+ *
+ * Prices are entered net; VAT is added on top. Day/night rates can only be
+ * told apart with quarter-hour values, daily values are priced at the day rate.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        STORAGE_KEY: 'smartmeter_tariff',
+        RECENT_DAYS: 7, // Days of recent usage the month-end projection is based on
+        FIELDS: {
+            energyPrice: 'tariff-energy-price', // ct/kWh
+            nightPrice: 'tariff-night-price', // ct/kWh, optional
+            nightStart: 'tariff-night-start',
+            nightEnd: 'tariff-night-end',
+            baseFee: 'tariff-base-fee', // €/month
+            networkPrice: 'tariff-network-price', // ct/kWh
+            networkFee: 'tariff-network-fee', // €/month
+            vat: 'tariff-vat' // %
+        },
+        DEFAULTS: {
+            energyPrice: null,
+            nightPrice: null,
+            nightStart: '22:00',
+            nightEnd: '06:00',
+            baseFee: 0,
+            networkPrice: 0,
+            networkFee: 0,
+            vat: 20
+        }
+    };
+
+    let lastData = null; // Consumption currently shown, recalculated when the tariff changes
+    let monthData = null; // Promise of the current month for the projection, fetched once per update
+    let projectionSequence = 0; // Responses of superseded projections are ignored
+
+    /**
+     * Initialize the tariff form
+     */
+    function init() {
+        const form = document.getElementById('smartmeter-tariff');
+        if (!form) {
+            return;
+        }
+
+        const tariff = getTariff();
+        Object.keys(CONFIG.FIELDS).forEach(key => {
+            const value = tariff[key];
+            document.getElementById(CONFIG.FIELDS[key]).value = value === null ? '' : value;
+        });
+
+        form.addEventListener('change', function() {
+            saveTariff(readTariffForm());
+            render();
+        });
+    }
+
+    /**
+     * Stored tariff merged with the defaults
+     */
+    function getTariff() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY));
+        } catch (e) {
+            stored = null;
+        }
+        return Object.assign({}, CONFIG.DEFAULTS, stored);
+    }
+
+    /**
+     * Store the tariff
+     */
+    function saveTariff(tariff) {
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(tariff));
+    }
+
+    /**
+     * Read the tariff form; empty or invalid numbers fall back to the defaults
+     */
+    function readTariffForm() {
+        const tariff = {};
+        Object.keys(CONFIG.FIELDS).forEach(key => {
+            const value = document.getElementById(CONFIG.FIELDS[key]).value.trim();
+            if (key === 'nightStart' || key === 'nightEnd') {
+                tariff[key] = /^\d{2}:\d{2}$/.test(value) ? value : CONFIG.DEFAULTS[key];
+                return;
+            }
+            const number = parseFloat(value.replace(',', '.'));
+            tariff[key] = number >= 0 ? number : CONFIG.DEFAULTS[key];
+        });
+        return tariff;
+    }
+
+    /**
+     * Show the cost of a consumption series (called for every displayed series)
+     */
+    function update(data) {
+        lastData = data;
+        monthData = null;
+        render();
+    }
+
+    /**
+     * Render cost so far and month-end projection
+     */
+    function render() {
+        const container = document.getElementById('smartmeter-costs');
+        const tariff = getTariff();
+        const sequence = ++projectionSequence;
+
+        if (!container || !lastData) {
+            return;
+        }
+
+        container.innerHTML = '';
+        if (tariff.energyPrice === null) {
+            addCostLine(container, 'Tarif eintragen, um die Stromkosten zu sehen.');
+            return;
+        }
+
+        // Fees only for complete days, today has no final consumption yet
+        const days = countDays(lastData.from, lastData.to) - (lastData.to >= toDateString(new Date()) ? 1 : 0);
+        const cost = computeCost(lastData.points, tariff, days);
+        addCostLine(container, `💶 Kosten ${lastData.label}: ${formatEuro(cost.gross)}`,
+            `Energie ${formatEuro(cost.energy)}, Netz ${formatEuro(cost.network)}, Grundgebühren ${formatEuro(cost.fixed)}, USt ${formatEuro(cost.vat)}`);
+
+        if (tariff.nightPrice !== null && lastData.granularity !== 'QUARTER_HOUR') {
+            addCostLine(container, 'Nachttarif wird nur mit Viertelstundenwerten (Ansicht „Tag“) berücksichtigt.');
+        }
+
+        getMonthData()
+            .then(data => {
+                const projection = projectMonthEnd(data, tariff);
+                if (sequence !== projectionSequence || !projection) {
+                    return;
+                }
+                addCostLine(container,
+                    `📈 Prognose ${projection.monthName}: ${formatEuro(projection.cost.gross)}`,
+                    `≈ ${Math.round(projection.kwh).toLocaleString('de-AT')} kWh bei ${projection.dailyAverage.toLocaleString('de-AT', { maximumFractionDigits: 1 })} kWh pro Tag`);
+            })
+            .catch(error => console.warn('Could not project month-end cost:', error));
+    }
+
+    /**
+     * The current month, which the projection always needs
+     * Fetched once per displayed series, so tariff changes do not call the API.
+     */
+    function getMonthData() {
+        if (!monthData) {
+            const month = lastData.period === 'month' ? Promise.resolve(lastData) : window.SmartMeter.getConsumption('month');
+            monthData = month.catch(error => {
+                // Try again with the next render
+                monthData = null;
+                throw error;
+            });
+        }
+        return monthData;
+    }
+
+    /**
+     * Append one line with an optional detail text
+     */
+    function addCostLine(container, text, detail) {
+        const line = document.createElement('p');
+        line.textContent = text;
+        if (detail) {
+            const small = document.createElement('small');
+            small.textContent = ` (${detail})`;
+            line.appendChild(small);
+        }
+        container.appendChild(line);
+    }
+
+    /**
+     * Cost of the points of a series plus the monthly fees for the given days
+     */
+    function computeCost(points, tariff, days) {
+        let energy = 0;
+        let network = 0;
+
+        points.forEach(point => {
+            if (point.value === null) {
+                return;
+            }
+            const price = tariff.nightPrice !== null && point.granularity === 'QUARTER_HOUR' && isNight(point.time, tariff)
+                ? tariff.nightPrice
+                : tariff.energyPrice;
+            energy += point.value * price / 100;
+            network += point.value * tariff.networkPrice / 100;
+        });
+
+        // Monthly fees, spread evenly over the days of the year
+        const fixed = (tariff.baseFee + tariff.networkFee) * 12 / 365 * days;
+        const net = energy + network + fixed;
+        const gross = net * (1 + tariff.vat / 100);
+
+        return {
+            energy: energy,
+            network: network,
+            fixed: fixed,
+            vat: gross - net,
+            gross: gross
+        };
+    }
+
+    /**
+     * Whether a point starts in the night window (times are local ISO strings)
+     */
+    function isNight(time, tariff) {
+        const minutes = toMinutes(time.slice(11, 16));
+        const start = toMinutes(tariff.nightStart);
+        const end = toMinutes(tariff.nightEnd);
+        return start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Minutes since midnight of HH:MM
+     */
+    function toMinutes(value) {
+        const parts = value.split(':');
+        return Number(parts[0]) * 60 + Number(parts[1]);
+    }
+
+    /**
+     * Number of days from one YYYY-MM-DD to another, both inclusive
+     */
+    function countDays(from, to) {
+        const start = Date.UTC(Number(from.slice(0, 4)), Number(from.slice(5, 7)) - 1, Number(from.slice(8, 10)));
+        const end = Date.UTC(Number(to.slice(0, 4)), Number(to.slice(5, 7)) - 1, Number(to.slice(8, 10)));
+        return Math.max(Math.round((end - start) / 86400000) + 1, 0);
+    }
+
+    /**
+     * Month-end cost: consumption of the complete days so far plus the recent
+     * daily average for the remaining days, with the fees of the full month
+     */
+    function projectMonthEnd(month, tariff) {
+        // The local date is the start of the ISO time; today is not complete yet
+        const today = toDateString(new Date());
+        const measured = month.points.filter(point => point.value !== null && point.time.slice(0, 10) < today);
+        if (measured.length === 0) {
+            return null;
+        }
+
+        const year = Number(month.from.slice(0, 4));
+        const monthIndex = Number(month.from.slice(5, 7)) - 1;
+        const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+        const lastDay = Number(measured[measured.length - 1].time.slice(8, 10));
+        if (lastDay === daysInMonth) {
+            // The month is over, there is nothing left to project
+            return null;
+        }
+        const recent = measured.slice(-CONFIG.RECENT_DAYS);
+        const dailyAverage = recent.reduce((sum, point) => sum + point.value, 0) / recent.length;
+        const remaining = { value: dailyAverage * (daysInMonth - lastDay), granularity: 'DAY' };
+        const points = measured.concat(remaining);
+
+        return {
+            monthName: new Date(year, monthIndex, 1).toLocaleDateString('de-AT', { month: 'long' }),
+            dailyAverage: dailyAverage,
+            kwh: points.reduce((sum, point) => sum + point.value, 0),
+            cost: computeCost(points, tariff, daysInMonth)
+        };
+    }
+
+    /**
+     * Local YYYY-MM-DD of a date
+     */
+    function toDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format an amount in euros
+     */
+    function formatEuro(value) {
+        return value.toLocaleString('de-AT', { style: 'currency', currency: 'EUR' });
+    }
+
+    window.SmartMeterTariff = {
+        update: update
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,313 @@
+/**
+ * Wien Energie Smart Meter - Client
+ * The only client of inc/smartmeter-proxy.php; the request/response contract
+ * and the error codes are documented at the top of the proxy.
+ *
+ * The API key is sent to the proxy once (login/rotate). The browser keeps only
+ * the returned token, its expiry and the selected Zählpunkt.
+ *
+ * Errors reject with an Error carrying `code` (see SmartMeter.ERRORS) and the
+ * HTTP `status`, so the UI can tell bad credentials, an unknown Zählpunkt and
+ * an upstream outage apart.
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        PROXY: 'inc/smartmeter-proxy.php',
+        SESSION_KEY: 'smartmeter_session', // localStorage key for the token (never the API key)
+        LEGACY_KEY: 'smartmeter_config', // Old versions stored the API key here
+        HEALTH_TIMEOUT: 8000
+    };
+
+    // Error codes of the proxy, plus NETWORK when the proxy itself is unreachable
+    const ERRORS = {
+        INVALID_REQUEST: 'INVALID_REQUEST',
+        SESSION_EXPIRED: 'SESSION_EXPIRED',
+        INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+        METER_NOT_FOUND: 'METER_NOT_FOUND',
+        UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+        UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+        SERVER_ERROR: 'SERVER_ERROR',
+        NETWORK: 'NETWORK'
+    };
+
+    /**
+     * Error with the proxy error code and HTTP status
+     */
+    function createError(message, code, status) {
+        const error = new Error(message);
+        error.code = code;
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Send an action to the proxy and resolve with the response data
+     */
+    function request(action, params) {
+        return fetch(CONFIG.PROXY, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(Object.assign({ action: action }, params))
+        })
+        .catch(error => {
+            throw createError(error.message, ERRORS.NETWORK, 0);
+        })
+        .then(response => response.json()
+            .catch(() => ({ success: false, error: `HTTP ${response.status}`, code: response.status >= 500 ? ERRORS.SERVER_ERROR : ERRORS.NETWORK }))
+            .then(data => {
+                if (!response.ok || !data.success) {
+                    throw createError(data.error || 'API Fehler', data.code || ERRORS.SERVER_ERROR, response.status);
+                }
+                return data.data;
+            }));
+    }
+
+    /**
+     * Request that needs a login; an expired token ends the session
+     */
+    function authorizedRequest(action, params) {
+        const session = getSession();
+        if (!session) {
+            return Promise.reject(createError('Nicht angemeldet', ERRORS.SESSION_EXPIRED, 401));
+        }
+
+        return request(action, Object.assign({ token: session.token }, params))
+            .catch(error => {
+                if (error.code === ERRORS.SESSION_EXPIRED) {
+                    clearSession();
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Stored login, or null if there is none or it expired
+     */
+    function getSession() {
+        let session = null;
+        try {
+            session = JSON.parse(localStorage.getItem(CONFIG.SESSION_KEY));
+        } catch (e) {
+            session = null;
+        }
+
+        if (session && !session.demo && !(new Date(session.expiresAt).getTime() > Date.now())) {
+            clearSession();
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Store the login
+     */
+    function saveSession(session) {
+        localStorage.setItem(CONFIG.SESSION_KEY, JSON.stringify(session));
+        return session;
+    }
+
+    /**
+     * Forget the login
+     */
+    function clearSession() {
+        localStorage.removeItem(CONFIG.SESSION_KEY);
+    }
+
+    /**
+     * Log in with an API key
+     */
+    function login(apiKey, meterId) {
+        return request('login', { apiKey: apiKey })
+            .then(result => saveSession({
+                token: result.token,
+                expiresAt: result.expiresAt,
+                meterId: meterId || ''
+            }));
+    }
+
+    /**
+     * Replace the API key of the current login; the old token is revoked
+     */
+    function rotate(apiKey) {
+        return authorizedRequest('rotate', { apiKey: apiKey })
+            .then(result => saveSession(Object.assign({}, getSession(), {
+                token: result.token,
+                expiresAt: result.expiresAt
+            })));
+    }
+
+    /**
+     * Log out; the proxy deletes the stored API key
+     */
+    function logout() {
+        const session = getSession();
+        clearSession();
+
+        if (!session || session.demo) {
+            return Promise.resolve();
+        }
+        return request('logout', { token: session.token })
+            .catch(error => console.warn('Smart meter logout failed:', error));
+    }
+
+    /**
+     * Demo login without backend, served with random data
+     */
+    function startDemo(meterId) {
+        return saveSession({ demo: true, meterId: meterId || '' });
+    }
+
+    /**
+     * Select the Zählpunkt of the current login
+     */
+    function setMeterId(meterId) {
+        const session = getSession();
+        return session ? saveSession(Object.assign({}, session, { meterId: meterId })) : null;
+    }
+
+    /**
+     * Zählpunkte of the API key: [{ id, name, address }]
+     */
+    function getMeters() {
+        const session = getSession();
+        if (session && session.demo) {
+            return Promise.resolve([{ id: session.meterId || 'AT0010000000000000001000000000000', name: 'Demo', address: null }]);
+        }
+        return authorizedRequest('meters', {}).then(result => result.meters);
+    }
+
+    /**
+     * Consumption of the selected Zählpunkt for 'day', 'week', 'month', 'year'
+     * or 'baseline' (load curve of the last weeks); compare is 'previous' or
+     * 'lastYear' for the range to compare with
+     */
+    function getConsumption(period, compare) {
+        const session = getSession();
+        if (session && session.demo) {
+            return Promise.resolve(createDemoConsumption(period, compare));
+        }
+        return authorizedRequest('consumption', {
+            meterId: session ? session.meterId : '',
+            period: period,
+            compare: compare || ''
+        });
+    }
+
+    /**
+     * Resolve with the proxy status, reject if the proxy is not reachable
+     */
+    function checkHealth() {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), CONFIG.HEALTH_TIMEOUT) : null;
+
+        return fetch(`${CONFIG.PROXY}?action=health`, controller ? { signal: controller.signal } : {})
+            .then(response => response.json())
+            .then(data => {
+                clearTimeout(timer);
+                if (!data.success) {
+                    throw createError(data.error || 'API Fehler', data.code || ERRORS.SERVER_ERROR, 0);
+                }
+                return data.data;
+            })
+            .catch(error => {
+                clearTimeout(timer);
+                throw error.code ? error : createError(error.message, ERRORS.NETWORK, 0);
+            });
+    }
+
+    /**
+     * Random consumption in the same shape as the proxy returns
+     */
+    function createDemoConsumption(period, compare) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        // Like the proxy, every period ends yesterday
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        const points = [];
+        const day = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const addPoint = (time, value, granularity) => points.push({
+            time: toLocalIso(time),
+            value: Number(value.toFixed(3)),
+            unit: 'kWh',
+            granularity: granularity,
+            estimated: false
+        });
+        let granularity = 'DAY';
+
+        if (period === 'day' || period === 'baseline') {
+            granularity = 'QUARTER_HOUR';
+            const days = period === 'day' ? 1 : 28;
+            const start = new Date(today.getTime() - days * 86400000);
+            for (let i = 0; i < days * 96; i++) {
+                const hour = (i % 96) / 4;
+                // Base load plus morning and evening peaks
+                addPoint(new Date(start.getTime() + i * 900000),
+                    0.05 + (hour >= 6 && hour < 9 ? 0.2 : 0) + (hour >= 17 && hour < 22 ? 0.3 : 0) + Math.random() * 0.05,
+                    granularity);
+            }
+        } else if (period === 'year') {
+            granularity = 'MONTH';
+            for (let month = 0; month <= yesterday.getMonth(); month++) {
+                addPoint(new Date(yesterday.getFullYear(), month, 1), 250 + Math.random() * 100, granularity);
+            }
+        } else {
+            const first = period === 'week' ? new Date(today.getTime() - 7 * 86400000) : new Date(yesterday.getFullYear(), yesterday.getMonth(), 1);
+            const last = yesterday;
+            for (let date = first; date <= last; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+                addPoint(date, 8 + Math.random() * 6, granularity);
+            }
+        }
+
+        return {
+            period: period,
+            compare: compare || '',
+            label: 'Demo-Daten (Backend benötigt)',
+            from: points.length > 0 ? points[0].time.slice(0, 10) : day(today),
+            to: points.length > 0 ? points[points.length - 1].time.slice(0, 10) : day(today),
+            granularity: granularity,
+            loadCurveAvailable: granularity === 'QUARTER_HOUR' ? true : null,
+            points: points,
+            totals: {
+                value: Number(points.reduce((sum, point) => sum + point.value, 0).toFixed(3)),
+                unit: 'kWh',
+                estimated: 0,
+                points: points.length,
+                missing: 0
+            }
+        };
+    }
+
+    /**
+     * ISO 8601 time with the local offset, like the proxy returns
+     */
+    function toLocalIso(date) {
+        const pad = value => String(Math.abs(value)).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+            `${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    // Old versions kept the API key base64-encoded in localStorage
+    localStorage.removeItem(CONFIG.LEGACY_KEY);
+
+    window.SmartMeter = {
+        ERRORS: ERRORS,
+        getSession: getSession,
+        login: login,
+        rotate: rotate,
+        logout: logout,
+        startDemo: startDemo,
+        setMeterId: setMeterId,
+        getMeters: getMeters,
+        getConsumption: getConsumption,
+        checkHealth: checkHealth
+    };
+
+})();
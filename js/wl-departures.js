@@ -0,0 +1,915 @@
+/**
+ * Wiener Linien Departures - Custom Element
+ * Standalone departure board for the Wiener Linien realtime API
+ *
+ * Usage:
+ *   <link rel="stylesheet" href="css/wl-lines.css">
+ *   <script defer src="js/wl-departures.js"></script>
+ *   <wl-departures rbl="623,592" max="6" lang="de"></wl-departures>
+ *
+ * Attributes:
+ *   rbl               Comma separated RBL numbers
+ *   max               Maximum number of rows (default 8)
+ *   lang              de or en (default de)
+ *   view              grouped or flat (default grouped)
+ *   refresh           Seconds between refreshes (default 30)
+ *   api               proxy or direct (default proxy)
+ *   proxy             URL of the Wiener Linien proxy (default inc/wienerlinien-proxy.php)
+ *   countdowns        Countdowns per row in the grouped view (default 3)
+ *   walk              Minutes to walk to the stop
+ *   accessible        Only show barrier-free vehicles
+ *   hide-unreachable  Hide instead of grey out departures that cannot be reached
+ *   exclude           Comma separated line names to hide
+ *   alert-minutes     Lead time named on the alert buttons (default 5)
+ *   contrast          "high" for the high-contrast line colours
+ *   compact           Hide the column headers
+ *   manual            Do not fetch; the page sets the data property instead
+ *
+ * Properties: data (monitor API response), alerts (["line|towards"], shows the
+ * alert buttons), disruptions ({ line: element id }, links lines to traffic infos)
+ *
+ * Events:
+ *   wl-refresh        After a fetch or setting data, once rendered; detail: { data, departures }
+ *                     (not for countdown ticks or attribute changes)
+ *   wl-error          When loading fails; detail: { error }
+ *   wl-alert-toggle   Alert button clicked; detail: { line, towards }
+ */
+
+(function() {
+    'use strict';
+
+    // Defaults for attributes that are not set
+    const DEFAULTS = {
+        API_BASE_URL: 'https://www.wienerlinien.at/ogd_realtime/monitor',
+        PROXY: 'inc/wienerlinien-proxy.php',
+        MAX: 8,
+        REFRESH: 30, // Seconds
+        COUNTDOWNS: 3,
+        ALERT_MINUTES: 5,
+        LEAVE_NOW_SLACK: 1, // Minutes of slack in which "leave now" is shown
+        TICK_INTERVAL: 1000
+    };
+
+    // Line colours live next to the page styles, so both use the same badges
+    const STYLESHEET = document.currentScript
+        ? new URL('../css/wl-lines.css', document.currentScript.src).href
+        : 'css/wl-lines.css';
+
+    // Badge class per OGD line type, in legend order
+    const LINE_CATEGORIES = [
+        { className: 'line-metro', labels: { de: 'U-Bahn', en: 'Metro' }, types: ['ptMetro'] },
+        { className: 'line-sbahn', labels: { de: 'S-Bahn', en: 'S-Bahn' }, types: ['ptTrainS'] },
+        { className: 'line-train', labels: { de: 'Regionalzug', en: 'Regional train' }, types: ['ptTrain'] },
+        { className: 'line-wlb', labels: { de: 'Badner Bahn', en: 'Badner Bahn' }, types: ['ptTramWLB'] },
+        { className: 'line-tram', labels: { de: 'Straßenbahn', en: 'Tram' }, types: ['ptTram', 'ptTramVRT'] },
+        { className: 'line-bus', labels: { de: 'Bus', en: 'Bus' }, types: ['ptBusCity', 'ptRufBus'] },
+        { className: 'line-night', labels: { de: 'Nachtbus', en: 'Night bus' }, types: ['ptBusNight'] },
+        { className: 'line-bus-region', labels: { de: 'Regionalbus', en: 'Regional bus' }, types: ['ptBusRegion'] }
+    ];
+
+    // Line names that identify the category regardless of the reported type
+    const LINE_NAME_PATTERNS = [
+        { pattern: /^U[1-6]$/, className: 'line-metro' },
+        { pattern: /^N\d+$/, className: 'line-night' },
+        { pattern: /^WLB$/, className: 'line-wlb' },
+        { pattern: /^S\d+$/, className: 'line-sbahn' },
+        { pattern: /^(R|REX|CJX)\s?\d*$/, className: 'line-train' }
+    ];
+
+    const STRINGS = {
+        de: {
+            line: 'Linie',
+            towards: 'Richtung',
+            departure: 'Abfahrt',
+            now: 'JETZT',
+            minutes: count => `${count} min`,
+            loading: 'Lade Daten...',
+            error: 'Fehler beim Laden der Abfahrtsdaten.',
+            noStation: 'Keine Abfahrten gefunden für diese Station.',
+            noDepartures: 'Keine Abfahrten in den nächsten Minuten.',
+            noAccessible: 'Kein barrierefreies Fahrzeug angekündigt',
+            unreachable: 'Nicht mehr erreichbar',
+            leaveNow: '🚶 Jetzt losgehen',
+            barrierFree: 'Barrierefrei (Niederflur)',
+            foldingRamp: 'Barrierefrei mit Klapprampe',
+            scheduled: 'Laut Fahrplan, keine Echtzeitdaten',
+            late: count => `${count} min verspätet`,
+            early: count => `${count} min früher`,
+            disruption: 'Störung auf dieser Linie',
+            alertOn: count => `Erinnerung ${count} min vor Abfahrt`,
+            alertOff: 'Erinnerung ausschalten'
+        },
+        en: {
+            line: 'Line',
+            towards: 'Towards',
+            departure: 'Departure',
+            now: 'NOW',
+            minutes: count => `${count} min`,
+            loading: 'Loading...',
+            error: 'Could not load departures.',
+            noStation: 'No departures found for this stop.',
+            noDepartures: 'No departures in the next minutes.',
+            noAccessible: 'No barrier-free vehicle announced',
+            unreachable: 'Too late to catch',
+            leaveNow: '🚶 Leave now',
+            barrierFree: 'Barrier-free (low floor)',
+            foldingRamp: 'Barrier-free with folding ramp',
+            scheduled: 'Scheduled, no real-time data',
+            late: count => `${count} min late`,
+            early: count => `${count} min early`,
+            disruption: 'Disruption on this line',
+            alertOn: count => `Remind me ${count} min before departure`,
+            alertOff: 'Turn reminder off'
+        }
+    };
+
+    const STYLE = `
+        :host {
+            display: block;
+            font-size: var(--wl-font-size, 14px);
+            background: white;
+            border-radius: 10px;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            overflow: hidden;
+        }
+
+        :host([hidden]) {
+            display: none;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+
+        thead {
+            background: #e30613;
+            color: white;
+        }
+
+        :host([compact]) thead {
+            display: none;
+        }
+
+        th {
+            padding: var(--wl-cell-padding, 15px);
+            text-align: left;
+            font-weight: 600;
+            font-size: var(--wl-header-font-size, 1em);
+        }
+
+        td {
+            padding: var(--wl-cell-padding, 15px);
+            border-bottom: 1px solid #eee;
+        }
+
+        tr:hover {
+            background: #f8f9fa;
+        }
+
+        .line-badge {
+            min-width: var(--wl-badge-min-width, 50px);
+        }
+
+        .line-disruption {
+            margin-left: 6px;
+            text-decoration: none;
+        }
+
+        .alert-toggle {
+            border: none;
+            background: none;
+            margin-left: 8px;
+            padding: 0;
+            font-size: 1em;
+            cursor: pointer;
+            opacity: 0.3;
+        }
+
+        .alert-toggle.active,
+        tr:hover .alert-toggle {
+            opacity: 1;
+        }
+
+        .departure-unreachable,
+        .countdown-unreachable {
+            opacity: 0.4;
+        }
+
+        .departure-leave {
+            background: #fff3cd;
+        }
+
+        .leave-now {
+            display: inline-block;
+            margin-left: 8px;
+            font-size: 0.85em;
+            color: #856404;
+        }
+
+        .countdown {
+            font-weight: bold;
+            color: #e30613;
+            font-size: 1.15em;
+        }
+
+        .countdown-group .countdown {
+            margin-right: 20px;
+        }
+
+        .countdown-group .countdown:not(:first-child) {
+            font-weight: normal;
+            color: #666;
+        }
+
+        .countdown-now {
+            color: #ff0000;
+            animation: blink 1s infinite;
+        }
+
+        .countdown-scheduled {
+            font-style: italic;
+            font-weight: normal;
+            color: #666;
+        }
+
+        .countdown-scheduled::after {
+            content: " ⏱";
+            font-size: 0.75em;
+        }
+
+        .delay-badge {
+            display: inline-block;
+            margin-left: 6px;
+            padding: 1px 6px;
+            border-radius: 3px;
+            font-size: 0.7em;
+            font-weight: bold;
+            font-style: normal;
+            vertical-align: middle;
+        }
+
+        .delay-late {
+            background: #e30613;
+            color: white;
+        }
+
+        .delay-early {
+            background: #2e7d32;
+            color: white;
+        }
+
+        .barrier-free {
+            color: #0072bc;
+            font-weight: bold;
+            margin-right: 6px;
+        }
+
+        .folding-ramp {
+            font-size: 0.7em;
+            vertical-align: super;
+        }
+
+        .no-accessible {
+            color: #666;
+            font-style: italic;
+        }
+
+        .loading {
+            text-align: center;
+            padding: 40px;
+            font-size: 1.15em;
+            color: #666;
+        }
+
+        @keyframes blink {
+            0%, 50% { opacity: 1; }
+            51%, 100% { opacity: 0.3; }
+        }
+    `;
+
+    class WlDepartures extends HTMLElement {
+        static get observedAttributes() {
+            return ['rbl', 'max', 'lang', 'view', 'refresh', 'api', 'proxy', 'countdowns', 'walk', 'accessible',
+                'hide-unreachable', 'exclude', 'alert-minutes', 'contrast', 'compact', 'manual'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            this._data = null;
+            this._message = null;
+            this._alerts = null;
+            this._disruptions = {};
+            this._clockOffset = 0;
+            this._refreshTimer = null;
+            this._tickTimer = null;
+            this._renderPending = false;
+            this._dataChanged = false; // wl-refresh is due with the next render
+            this._connected = false;
+        }
+
+        connectedCallback() {
+            if (!this.shadowRoot.firstChild) {
+                this.shadowRoot.innerHTML = `<link rel="stylesheet" href="${STYLESHEET}"><style>${STYLE}</style>` +
+                    '<div class="board"><table><thead><tr><th></th><th></th><th></th></tr></thead><tbody></tbody></table></div>';
+            }
+            this._connected = true;
+            this._start();
+        }
+
+        disconnectedCallback() {
+            this._connected = false;
+            this._stop();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            // Initial attributes are handled by connectedCallback
+            if (oldValue === newValue || !this._connected) {
+                return;
+            }
+
+            if (['rbl', 'api', 'proxy', 'refresh', 'manual'].includes(name)) {
+                this._start();
+            } else {
+                this._scheduleRender();
+            }
+        }
+
+        /**
+         * Monitor API response to display; setting it renders the board
+         */
+        get data() {
+            return this._data;
+        }
+
+        set data(data) {
+            this._data = data;
+            this._message = null;
+            this._dataChanged = true;
+            this._scheduleRender();
+        }
+
+        /**
+         * Line and direction keys ("U6|Floridsdorf") with an active alert
+         */
+        get alerts() {
+            return this._alerts;
+        }
+
+        set alerts(alerts) {
+            this._alerts = alerts;
+            this._scheduleRender();
+        }
+
+        /**
+         * Line name -> id of the traffic info on the page
+         */
+        get disruptions() {
+            return this._disruptions;
+        }
+
+        set disruptions(disruptions) {
+            this._disruptions = disruptions || {};
+            this._scheduleRender();
+        }
+
+        /**
+         * Show a message instead of departures, e.g. while loading
+         */
+        showMessage(message) {
+            this._data = null;
+            this._message = message;
+            this._scheduleRender();
+        }
+
+        /**
+         * Load departures now; only without the manual attribute
+         */
+        refresh() {
+            clearTimeout(this._refreshTimer);
+            const rbls = parseList(this.getAttribute('rbl')).filter(rbl => /^\d+$/.test(rbl));
+
+            if (this.hasAttribute('manual') || rbls.length === 0) {
+                return Promise.resolve(this._data);
+            }
+
+            return fetch(this._getUrl(rbls))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    const serverTime = data.message ? parseApiTime(data.message.serverTime) : null;
+                    if (serverTime !== null) {
+                        this._clockOffset = serverTime - Date.now();
+                    }
+                    this.data = recomputeCountdowns(data, Date.now() + this._clockOffset);
+                    return data;
+                })
+                .catch(error => {
+                    // Keep showing the last departures; they keep counting down
+                    if (!this._data) {
+                        this.showMessage(this._strings().error);
+                    }
+                    this.dispatchEvent(new CustomEvent('wl-error', { detail: { error: error }, bubbles: true, composed: true }));
+                    return null;
+                })
+                .then(result => {
+                    this._scheduleRefresh();
+                    return result;
+                });
+        }
+
+        _start() {
+            this._stop();
+            if (this.hasAttribute('manual')) {
+                this._scheduleRender();
+                return;
+            }
+
+            if (!this._data) {
+                this.showMessage(this._strings().loading);
+            }
+            this._tickTimer = setInterval(() => this._tick(), DEFAULTS.TICK_INTERVAL);
+            this.refresh();
+        }
+
+        _stop() {
+            clearTimeout(this._refreshTimer);
+            clearInterval(this._tickTimer);
+            this._refreshTimer = null;
+            this._tickTimer = null;
+        }
+
+        _scheduleRefresh() {
+            clearTimeout(this._refreshTimer);
+            if (this._connected && !this.hasAttribute('manual')) {
+                this._refreshTimer = setTimeout(() => this.refresh(), getNumber(this, 'refresh', DEFAULTS.REFRESH) * 1000);
+            }
+        }
+
+        /**
+         * Count down between refreshes; redraw only when a minute changes
+         */
+        _tick() {
+            if (!this._data) {
+                return;
+            }
+
+            const before = getCountdownSignature(this._data);
+            recomputeCountdowns(this._data, Date.now() + this._clockOffset);
+            if (getCountdownSignature(this._data) !== before) {
+                this._scheduleRender();
+            }
+        }
+
+        _getUrl(rbls) {
+            if (this.getAttribute('api') === 'direct') {
+                return `${DEFAULTS.API_BASE_URL}?${rbls.map(rbl => `rbl=${encodeURIComponent(rbl)}`).join('&')}`;
+            }
+            return `${this.getAttribute('proxy') || DEFAULTS.PROXY}?rbl=${rbls.map(encodeURIComponent).join(',')}`;
+        }
+
+        _strings() {
+            return STRINGS[this.getAttribute('lang')] || STRINGS.de;
+        }
+
+        /**
+         * Render once per task, however many attributes changed
+         */
+        _scheduleRender() {
+            if (this._renderPending) {
+                return;
+            }
+            this._renderPending = true;
+            Promise.resolve().then(() => {
+                this._renderPending = false;
+                if (this.shadowRoot.firstChild) {
+                    this._render();
+                }
+            });
+        }
+
+        _render() {
+            const strings = this._strings();
+            const headers = this.shadowRoot.querySelectorAll('th');
+            headers[0].textContent = strings.line;
+            headers[1].textContent = strings.towards;
+            headers[2].textContent = strings.departure;
+            this.shadowRoot.querySelector('.board').classList.toggle('high-contrast', this.getAttribute('contrast') === 'high');
+
+            const tbody = this.shadowRoot.querySelector('tbody');
+            tbody.innerHTML = '';
+
+            const data = this._data;
+            if (!data) {
+                tbody.appendChild(createMessageRow(this._message || strings.loading));
+                return;
+            }
+
+            if (!data.data || !data.data.monitors || data.data.monitors.length === 0) {
+                tbody.appendChild(createMessageRow(strings.noStation));
+                this._dispatchRefresh([]);
+                return;
+            }
+
+            const walk = getNumber(this, 'walk', 0, 0);
+            const accessibleOnly = this.hasAttribute('accessible');
+            const excluded = parseList(this.getAttribute('exclude'));
+            const lineDepartures = extractDepartures(data).filter(dep => !excluded.includes(dep.line));
+            let departures = accessibleOnly ? lineDepartures.filter(dep => dep.barrierFree) : lineDepartures;
+
+            // Sort by countdown time
+            departures.sort((a, b) => a.countdown - b.countdown);
+
+            // Departures we can still walk to; the first of them is the one to leave for
+            departures.forEach(dep => {
+                dep.reachable = dep.countdown >= walk;
+                dep.leaveNow = false;
+            });
+            const next = departures.find(dep => dep.reachable);
+            if (walk > 0 && next && next.countdown - walk <= DEFAULTS.LEAVE_NOW_SLACK) {
+                next.leaveNow = true;
+            }
+
+            const visible = this.hasAttribute('hide-unreachable') ? departures.filter(dep => dep.reachable) : departures;
+            const context = {
+                host: this,
+                strings: strings,
+                alerts: this._alerts,
+                disruptions: this._disruptions,
+                alertMinutes: getNumber(this, 'alert-minutes', DEFAULTS.ALERT_MINUTES),
+                countdowns: getNumber(this, 'countdowns', DEFAULTS.COUNTDOWNS)
+            };
+
+            let rows;
+            if (this.getAttribute('view') !== 'flat') {
+                const groups = groupDepartures(visible);
+                if (accessibleOnly) {
+                    // Keep lines without an accessible vehicle visible, at the end
+                    groupDepartures(lineDepartures).forEach(group => {
+                        if (!groups.some(g => g.line === group.line && g.towards === group.towards)) {
+                            group.departures = [];
+                            groups.push(group);
+                        }
+                    });
+                }
+                rows = groups.map(group => createGroupedRow(group, context));
+            } else {
+                rows = visible.map(departure => createDepartureRow(departure, context));
+            }
+
+            // Display only the configured number of rows
+            rows.slice(0, getNumber(this, 'max', DEFAULTS.MAX)).forEach(row => tbody.appendChild(row));
+
+            if (rows.length === 0) {
+                tbody.appendChild(createMessageRow(strings.noDepartures));
+            }
+
+            this._dispatchRefresh(departures);
+        }
+
+        /**
+         * Announce the rendered departures, once per new data
+         */
+        _dispatchRefresh(departures) {
+            if (!this._dataChanged) {
+                return;
+            }
+            this._dataChanged = false;
+            this.dispatchEvent(new CustomEvent('wl-refresh', {
+                detail: { data: this._data, departures: departures },
+                bubbles: true,
+                composed: true
+            }));
+        }
+    }
+
+    /**
+     * Split a comma separated attribute
+     */
+    function parseList(value) {
+        return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Read a numeric attribute, falling back below the minimum
+     */
+    function getNumber(element, name, fallback, minimum = 1) {
+        const value = parseInt(element.getAttribute(name), 10);
+        return isNaN(value) || value < minimum ? fallback : value;
+    }
+
+    /**
+     * Parse an OGD timestamp such as 2024-01-01T12:34:00.000+0100
+     * Returns milliseconds since epoch or null.
+     */
+    function parseApiTime(value) {
+        if (!value) {
+            return null;
+        }
+
+        // Some browsers reject offsets without a colon
+        const time = Date.parse(value.replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * All countdowns of a response as one comparable string
+     */
+    function getCountdownSignature(data) {
+        if (!data.data || !data.data.monitors) {
+            return '';
+        }
+        return extractDepartures(data).map(dep => dep.countdown).join(',');
+    }
+
+    /**
+     * Recalculate countdowns from the departure timestamps
+     * Uses timeReal and falls back to timePlanned for scheduled-only departures.
+     * Departures that have already left are dropped.
+     */
+    function recomputeCountdowns(data, now) {
+        if (!data.data || !data.data.monitors) {
+            return data;
+        }
+
+        data.data.monitors.forEach(monitor => {
+            (monitor.lines || []).forEach(line => {
+                if (!line.departures || !line.departures.departure) {
+                    return;
+                }
+
+                line.departures.departure = line.departures.departure.filter(departure => {
+                    const time = parseApiTime(departure.departureTime.timeReal || departure.departureTime.timePlanned);
+                    if (time === null) {
+                        return false;
+                    }
+
+                    const minutes = Math.floor((time - now) / 60000);
+                    departure.departureTime.countdown = Math.max(minutes, 0);
+                    return minutes >= 0;
+                });
+            });
+        });
+
+        return data;
+    }
+
+    /**
+     * Extract all departures from all monitors
+     */
+    function extractDepartures(data) {
+        const departures = [];
+
+        data.data.monitors.forEach(monitor => {
+            if (monitor.lines && monitor.lines.length > 0) {
+                monitor.lines.forEach(line => {
+                    if (line.departures && line.departures.departure) {
+                        line.departures.departure.forEach(departure => {
+                            const planned = parseApiTime(departure.departureTime.timePlanned);
+                            const real = parseApiTime(departure.departureTime.timeReal);
+                            // Vehicle attributes override the line defaults
+                            const vehicle = departure.vehicle || {};
+                            const attribute = name => vehicle[name] !== undefined ? vehicle[name] === true : line[name] === true;
+
+                            departures.push({
+                                line: line.name,
+                                towards: line.towards,
+                                lineType: line.type || 'ptBusCity',
+                                departureTime: departure.departureTime,
+                                planned: planned,
+                                real: real,
+                                countdown: departure.departureTime.countdown,
+                                realtime: real !== null && (vehicle.realtimeSupported !== undefined ? vehicle.realtimeSupported : line.realtimeSupported) !== false,
+                                barrierFree: attribute('barrierFree'),
+                                foldingRamp: attribute('foldingRamp'),
+                                delay: real !== null && planned !== null ? Math.round((real - planned) / 60000) : 0
+                            });
+                        });
+                    }
+                });
+            }
+        });
+
+        return departures;
+    }
+
+    /**
+     * Get the badge classes for a line
+     * Line names win over the type, as the API reports e.g. night buses as ptBusCity.
+     */
+    function getLineClass(lineType, lineName) {
+        const name = String(lineName || '').trim().toUpperCase();
+        const byName = LINE_NAME_PATTERNS.find(entry => entry.pattern.test(name));
+        const category = byName
+            ? byName.className
+            : (LINE_CATEGORIES.find(entry => entry.types.includes(lineType)) || { className: 'line-bus' }).className;
+
+        return category === 'line-metro' && /^U[1-6]$/.test(name)
+            ? `${category} line-${name.toLowerCase()}`
+            : category;
+    }
+
+    /**
+     * Group sorted departures into one entry per line and direction
+     * Groups keep the order of their next departure.
+     */
+    function groupDepartures(departures) {
+        const groups = [];
+        const byKey = {};
+
+        departures.forEach(dep => {
+            const key = `${dep.line}|${dep.towards}`;
+            if (!byKey[key]) {
+                byKey[key] = {
+                    line: dep.line,
+                    towards: dep.towards,
+                    lineType: dep.lineType,
+                    departures: []
+                };
+                groups.push(byKey[key]);
+            }
+            byKey[key].departures.push(dep);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Create a row spanning the table with a message
+     */
+    function createMessageRow(message) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 3;
+        cell.className = 'loading';
+        cell.textContent = message;
+        row.appendChild(cell);
+        return row;
+    }
+
+    /**
+     * Create a departure row
+     */
+    function createDepartureRow(departure, context) {
+        const row = createLineCells(departure, context);
+        if (!departure.reachable) {
+            row.className = 'departure-unreachable';
+        } else if (departure.leaveNow) {
+            row.className = 'departure-leave';
+        }
+
+        // Countdown
+        const countdownCell = document.createElement('td');
+        countdownCell.appendChild(createCountdown(departure, context.strings));
+        row.appendChild(countdownCell);
+
+        return row;
+    }
+
+    /**
+     * Create a row with the next few countdowns of one line and direction
+     */
+    function createGroupedRow(group, context) {
+        const row = createLineCells(group, context);
+        if (group.departures.some(dep => dep.leaveNow)) {
+            row.className = 'departure-leave';
+        }
+
+        const countdownCell = document.createElement('td');
+        countdownCell.className = 'countdown-group';
+        group.departures.slice(0, context.countdowns).forEach(dep => {
+            countdownCell.appendChild(createCountdown(dep, context.strings));
+        });
+        if (group.departures.length === 0) {
+            countdownCell.className += ' no-accessible';
+            countdownCell.textContent = context.strings.noAccessible;
+        }
+        row.appendChild(countdownCell);
+
+        return row;
+    }
+
+    /**
+     * Create a row with line badge and direction cells
+     */
+    function createLineCells(entry, context) {
+        const row = document.createElement('tr');
+
+        // Line badge
+        const lineCell = document.createElement('td');
+        const lineBadge = document.createElement('span');
+        lineBadge.className = `line-badge ${getLineClass(entry.lineType, entry.line)}`;
+        lineBadge.textContent = entry.line;
+        lineCell.appendChild(lineBadge);
+        row.appendChild(lineCell);
+
+        if (context.disruptions[entry.line]) {
+            const link = document.createElement('a');
+            link.className = 'line-disruption';
+            link.href = `#${context.disruptions[entry.line]}`;
+            link.title = context.strings.disruption;
+            link.textContent = '⚠️';
+            lineCell.appendChild(link);
+        }
+
+        // Direction
+        const directionCell = document.createElement('td');
+        directionCell.textContent = entry.towards;
+
+        if (context.alerts) {
+            const alertActive = context.alerts.includes(`${entry.line}|${entry.towards}`);
+            const alertButton = document.createElement('button');
+            alertButton.type = 'button';
+            alertButton.className = alertActive ? 'alert-toggle active' : 'alert-toggle';
+            alertButton.textContent = alertActive ? '🔔' : '🔕';
+            alertButton.title = alertActive ? context.strings.alertOff : context.strings.alertOn(context.alertMinutes);
+            alertButton.addEventListener('click', function() {
+                context.host.dispatchEvent(new CustomEvent('wl-alert-toggle', {
+                    detail: { line: entry.line, towards: entry.towards },
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+            directionCell.appendChild(alertButton);
+        }
+        row.appendChild(directionCell);
+
+        return row;
+    }
+
+    /**
+     * Create a countdown label with delay badge
+     * Departures without real-time data are marked as scheduled only.
+     */
+    function createCountdown(departure, strings) {
+        const countdownSpan = document.createElement('span');
+        countdownSpan.className = 'countdown';
+
+        if (departure.countdown === 0) {
+            countdownSpan.className += ' countdown-now';
+            countdownSpan.textContent = strings.now;
+        } else {
+            countdownSpan.textContent = strings.minutes(departure.countdown);
+        }
+
+        if (!departure.reachable) {
+            countdownSpan.className += ' countdown-unreachable';
+            countdownSpan.title = strings.unreachable;
+        } else if (departure.leaveNow) {
+            countdownSpan.className += ' countdown-leave';
+            const hint = document.createElement('span');
+            hint.className = 'leave-now';
+            hint.textContent = strings.leaveNow;
+            countdownSpan.appendChild(hint);
+        }
+
+        if (departure.barrierFree) {
+            const icon = document.createElement('span');
+            icon.className = 'barrier-free';
+            icon.textContent = '♿';
+            icon.title = departure.foldingRamp ? strings.foldingRamp : strings.barrierFree;
+            icon.setAttribute('aria-label', icon.title);
+            countdownSpan.insertBefore(icon, countdownSpan.firstChild);
+
+            if (departure.foldingRamp) {
+                const ramp = document.createElement('span');
+                ramp.className = 'folding-ramp';
+                ramp.textContent = '⇲';
+                ramp.setAttribute('aria-hidden', 'true');
+                icon.appendChild(ramp);
+            }
+        }
+
+        if (!departure.realtime) {
+            countdownSpan.className += ' countdown-scheduled';
+            countdownSpan.title = strings.scheduled;
+        } else if (departure.delay !== 0) {
+            const badge = document.createElement('span');
+            badge.className = departure.delay > 0 ? 'delay-badge delay-late' : 'delay-badge delay-early';
+            badge.textContent = departure.delay > 0 ? `+${departure.delay}` : `${departure.delay}`;
+            badge.title = departure.delay > 0 ? strings.late(departure.delay) : strings.early(-departure.delay);
+            countdownSpan.appendChild(badge);
+        }
+
+        return countdownSpan;
+    }
+
+    // Parsing and line helpers for pages that build their own views around the element
+    WlDepartures.LINE_CATEGORIES = LINE_CATEGORIES;
+    WlDepartures.parseApiTime = parseApiTime;
+    WlDepartures.extractDepartures = extractDepartures;
+    WlDepartures.recomputeCountdowns = recomputeCountdowns;
+    WlDepartures.getCountdownSignature = getCountdownSignature;
+    WlDepartures.getLineClass = getLineClass;
+
+    window.WlDepartures = WlDepartures;
+    if (!customElements.get('wl-departures')) {
+        customElements.define('wl-departures', WlDepartures);
+    }
+
+})();
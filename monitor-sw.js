@@ -0,0 +1,70 @@
+/**
+ * Wiener Linien Monitor - Service Worker
+ * Keeps the monitor page and its assets available when the network is down,
+ * so the kiosk can still render the last cached departures.
+ */
+
+const CACHE_NAME = 'wl-monitor-v1';
+
+const APP_SHELL = [
+    'monitor.html',
+    'css/base.css',
+    'css/vendor.css',
+    'css/main.css',
+    'css/fonts.css',
+    'css/wl-lines.css',
+    'images/logo.png',
+    'js/jquery-3.2.1.min.js',
+    'js/plugins.js',
+    'js/main.js',
+    'js/wl-departures.js',
+    'js/monitor-history.js',
+    'js/smartmeter.js',
+    'js/smartmeter-tariff.js',
+    'js/smartmeter-insights.js',
+    'js/monitor.js'
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('wl-monitor-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first for same-origin assets, cache as fallback.
+ * API calls (cross-origin or through the proxies in inc/) are left alone:
+ * the page keeps its own per-RBL cache of the last good departure data.
+ */
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/inc/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true }))
+    );
+});